@@ -5,14 +5,98 @@
 // Configuration Constants
 const CONFIG = {
   TYPEFORM_API_BASE: "https://api.typeform.com",
+  // Used instead when the TYPEFORM_REGION script property is "eu"
+  TYPEFORM_EU_API_BASE: "https://api.eu.typeform.com",
   TYPEFORM_TOKEN:
     PropertiesService.getScriptProperties().getProperty("TYPEFORM_TOKEN"),
   MEGA_SHEET_NAME: "Sprint Survey Master Database",
   LOG_SHEET_NAME: "System Logs",
+  // Log entries are written in batches of this size during a run
+  LOG_BUFFER_SIZE: 25,
+  // Above LOG_MAX_ROWS, the oldest entries move to monthly archive tabs
+  // until LOG_KEEP_ROWS remain
+  LOG_MAX_ROWS: 1000,
+  LOG_KEEP_ROWS: 500,
+  LOG_ARCHIVE_PREFIX: "System Logs ",
+  // Entries shown at once in the control panel log viewer
+  CONTROL_PANEL_LOG_LIMIT: 100,
+  RUN_HISTORY_SHEET_NAME: "Run History",
+  SYNC_HEALTH_SHEET_NAME: "Sync Health",
+  DRY_RUN_SHEET_NAME: "Dry Run Preview",
+  // Archived data spreadsheets move to this subfolder of FOLDER_NAME
+  ARCHIVE_FOLDER_NAME: "Archive",
+  // Exports go to a dated subfolder of FOLDER_NAME, e.g. "Exports 2024-05-01"
+  EXPORT_FOLDER_PREFIX: "Exports ",
+  EXPORT_DEFAULTS: {
+    formats: ["csv", "ndjson", "xlsx"],
+    csvBom: false,
+    schedule: "off", // "off", "daily" or "weekly"
+  },
+  // Surveys not updated for this many days are flagged as stale
+  STALE_SURVEY_DAYS: 7,
+  REGISTRY_SHEET_NAME: "Survey Registry",
+  PRIVACY_RULES_SHEET_NAME: "Privacy Rules",
+  VALIDATION_RULES_SHEET_NAME: "Validation Rules",
+  QUARANTINE_SHEET_NAME: "Quarantine",
+  DUPLICATES_SHEET_NAME: "Duplicates",
+  QUESTION_MAP_SHEET_NAME: "Question Map",
+  // Minimum title similarity (0-1) for a suggested canonical question
+  QUESTION_MATCH_THRESHOLD: 0.6,
+  IDENTIFIED_SPREADSHEET_NAME: "Identified Student Mapping",
+  PSEUDONYM_PREFIX: "anon-",
+  ALL_RESPONSES_SHEET_NAME: "All Responses",
   FOLDER_NAME: "EOS Survey Data Sheets",
+  DATA_SHEET_NAME: "Survey Data",
+  SUMMARY_SHEET_NAME: "Summary",
+  SYNC_CURSOR_PREFIX: "SYNC_CURSOR_",
+  // Bumped when stored cell formats change, so older sheets rebuild once
+  SYNC_CURSOR_VERSION: 2,
+  WEBHOOK_TAG: "eos-sheets-sync",
+  // Sheets number format for every date written by the system
+  DATE_FORMAT: "yyyy-mm-dd hh:mm:ss",
   MAX_RETRIES: 3,
+  HTTP_MAX_ATTEMPTS: 5,
+  MAX_RETRY_WAIT_MS: 60000,
+  FORM_CACHE_SECONDS: 21600,
+  // Resumable batch jobs stop well before the 6 minute execution limit
+  JOB_TIME_BUDGET_MS: 4 * 60 * 1000,
+  JOB_CONTINUATION_DELAY_MS: 60 * 1000,
+  JOB_STALE_MINUTES: 15,
+  // Job progress line on the Sync Health tab, under its title
+  JOB_PROGRESS_CELL: "A2",
+  // Run locks expire on their own in case an execution dies holding one;
+  // 30 minutes is the longest an Apps Script execution can run
+  LOCK_LEASE_MINUTES: 30,
+  LOCK_WAIT_MS: 30000,
+  // Email digest defaults, overridden by the DIGEST_SETTINGS script property
+  DIGEST_DEFAULTS: {
+    frequency: "daily", // "run", "daily" or "weekly"
+    muted: false,
+    recipients: [], // Sent every survey, in addition to each survey's owner
+  },
+  DIGEST_MAX_SCORE_CHANGES: 5,
+  // Chat notifications; placeholders are filled by renderChatTemplate and
+  // can be overridden per event from the Notifications menu
+  CHAT_TEMPLATES: {
+    processed:
+      "✅ *{survey}* synced: {added} new, {updated} updated responses. {link}",
+    failed: "❌ *{survey}* ({formId}) failed to sync: {error}",
+    lowRating:
+      "⚠️ Low score on *{survey}*: {question} = {score} (response {responseId}). {link}",
+  },
+  // Scores at or below these values trigger a low rating alert
+  CHAT_LOW_RATING_DEFAULTS: { nps: 6, rating: 2, opinion_scale: 3 },
+  CHAT_MAX_LOW_RATING_LINES: 10,
   BATCH_SIZE: 100,
-  // Pre-configured survey information
+  // Response details copied into extra data sheet columns
+  EXTRA_COLUMNS: {
+    landedAt: true,
+    hiddenFields: true,
+    score: true,
+    variables: true,
+    metadata: ["platform", "browser", "referer"],
+  },
+  // Surveys used to seed the Survey Registry sheet on first setup
   KNOWN_SURVEYS: [
     {
       id: "<TYPEFORM_FORM_ID_1>",
@@ -67,18 +151,40 @@ function initializeSystem() {
       createLogSheet();
     }
 
+    // Make the Master Database Action column run its actions
+    setupMegaActions();
+
+    // Create survey registry if it doesn't exist
+    if (!getRegistrySheet()) {
+      createRegistrySheet();
+    }
+
+    // Create privacy and validation rules if they don't exist
+    if (!getPrivacyRulesSheet()) {
+      createPrivacyRulesSheet();
+    }
+    if (!getValidationRulesSheet()) {
+      createValidationRulesSheet();
+    }
+
+    // Create question map if it doesn't exist
+    if (!getQuestionMapSheet()) {
+      createQuestionMapSheet();
+    }
+
     // Create folder for data sheets
     createDataFolder();
 
     // Set up custom menu
     createCustomMenu();
 
-    // Log known surveys
+    // Log registered surveys
+    const surveys = getRegisteredSurveys();
     logActivity(
       "INFO",
-      `System initialized with ${CONFIG.KNOWN_SURVEYS.length} pre-configured surveys`
+      `System initialized with ${surveys.length} registered surveys`
     );
-    CONFIG.KNOWN_SURVEYS.forEach((survey) => {
+    surveys.forEach((survey) => {
       logActivity("INFO", `Survey: ${survey.name} (ID: ${survey.id})`);
     });
 
@@ -91,49 +197,141 @@ function initializeSystem() {
 }
 
 /**
- * Main function to process all surveys
+ * Main function to process all surveys.
+ * Surveys marked inactive in the registry are skipped, as are surveys whose
+ * schedule is not due when called with options.scheduled. The surveys are
+ * queued as a resumable job that continues in later executions if it runs
+ * out of time.
  */
-function processAllSurveys() {
+function processAllSurveys(options = {}) {
+  // Dry runs change nothing, so they are not recorded in Run History
+  const record = options.dryRun
+    ? null
+    : beginRunRecord(
+        "processAllSurveys",
+        options.scheduled ? "scheduled" : "manual"
+      );
+
   try {
     logActivity("INFO", "Starting bulk survey processing");
 
-    const forms = getTypeforms();
-    const results = [];
+    const items = [];
+    for (const form of getTypeforms()) {
+      const registered = findRegisteredSurvey(form.id);
+      const item = {
+        formId: form.id,
+        name: registered ? registered.name : form.title,
+      };
 
-    for (const form of forms) {
-      const result = processSingleSurvey(form.id, form.title);
-      results.push(result);
+      if (registered && !registered.active) {
+        item.status = "skipped";
+        item.message = "Inactive in the Survey Registry";
+      } else if (
+        registered &&
+        options.scheduled &&
+        !isSurveyDue(registered, new Date())
+      ) {
+        item.status = "skipped";
+        item.message = `Not due (${registered.schedule} schedule)`;
+      }
 
-      // Brief pause between requests to respect API limits
-      Utilities.sleep(1000);
+      items.push(item);
     }
 
-    updateMegaSheetStatus();
-    logActivity("INFO", `Completed processing ${results.length} surveys`);
+    if (options.dryRun) {
+      return previewSurveys(items, "Preview All Surveys");
+    }
 
-    return results;
+    const result = startProcessingJob(
+      items,
+      options.scheduled ? "scheduled" : "manual"
+    );
+    endRunRecord(record, result);
+    showRunResultDialog("Process All Surveys", result);
+    return result;
   } catch (error) {
+    endRunRecord(record, null, error);
+    if (error.locked) {
+      reportLockedRun("Process All Surveys", error);
+      return null;
+    }
     logActivity("ERROR", `Bulk processing failed: ${error.toString()}`);
     throw error;
   }
 }
 
 /**
- * Process a single survey by ID with enhanced name detection
+ * Process a single survey by ID with enhanced name detection.
+ * Only responses submitted since the last sync are fetched unless
+ * options.fullResync is set or the data sheet does not exist yet.
+ * With options.deadline, response paging stops once the deadline passes and
+ * the result carries `partial: true` plus a `resume` state to pass back in
+ * as options.resume on the next call.
+ */
+function processSingleSurvey(formId, sprintName = null, options = {}) {
+  if (options.dryRun) {
+    return previewSurvey(formId, sprintName, options);
+  }
+
+  // Only recorded when called directly, not as part of a job
+  const record = beginRunRecord(
+    "processSingleSurvey",
+    options.source || "manual"
+  );
+
+  const lock = acquireRunLock(formId, options.source || "manual");
+  if (!lock.acquired) {
+    const error = new Error(describeRunLock(`Survey ${formId}`, lock.holder));
+    error.locked = true;
+    error.retryable = false;
+    logActivity("WARNING", error.message, { formId: formId });
+    endRunRecord(record, null, error);
+    throw error;
+  }
+
+  const logScope = beginLogRun({ formId: formId });
+  try {
+    const result = syncSurvey(formId, sprintName, options);
+    endRunRecord(record, result);
+    // Syncs without new data stay quiet
+    if (!result.partial && (result.added || 0) + (result.updated || 0) > 0) {
+      notifyChat("processed", formId, {
+        survey: sprintName,
+        added: result.added,
+        updated: result.updated,
+        link: result.sheetUrl,
+      });
+    }
+    return result;
+  } catch (error) {
+    runMetrics.failures.add(formId);
+    endRunRecord(record, null, error);
+    notifyChat("failed", formId, {
+      survey: sprintName,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    releaseRunLock(formId, lock.lease);
+    endLogRun(logScope);
+  }
+}
+
+/**
+ * Sync a survey without taking its run lock (see processSingleSurvey)
  */
-function processSingleSurvey(formId, sprintName = null) {
+function syncSurvey(formId, sprintName = null, options = {}) {
+  const startedAt = Date.now();
   let retryCount = 0;
 
-  // Try to get survey name from known surveys if not provided
+  // Try to get survey name from the registry if not provided
   if (!sprintName) {
-    const knownSurvey = CONFIG.KNOWN_SURVEYS.find(
-      (survey) => survey.id === formId
-    );
+    const knownSurvey = findRegisteredSurvey(formId);
     if (knownSurvey) {
       sprintName = knownSurvey.name;
       logActivity(
-        "INFO",
-        `Using pre-configured name: ${sprintName} for form ${formId}`
+        "DEBUG",
+        `Using registered name: ${sprintName} for form ${formId}`
       );
     }
   }
@@ -151,47 +349,186 @@ function processSingleSurvey(formId, sprintName = null) {
       // Get survey metadata
       const formData = getTypeformData(formId);
       const surveyTitle = sprintName || formData.title || `Survey_${formId}`;
+      recordQuestions(formId, surveyTitle, formData.fields);
+
+      // Resume from the sync cursor unless a full rebuild is needed
+      const resume = options.resume || null;
+      const cursor = resume
+        ? resume.cursor
+        : options.fullResync || !findDataSpreadsheet(surveyTitle)
+        ? null
+        : getSyncCursor(formId);
 
       // Fetch responses
-      const responses = getTypeformResponses(formId);
+      const page = fetchResponsePages(formId, {
+        since: cursor ? cursor.submittedAt : null,
+        before: resume ? resume.before : null,
+        deadline: options.deadline,
+      });
+      const responses = filterSyncedResponses(page.responses, cursor);
+      runMetrics.surveys.add(formId);
+      runMetrics.fetched += page.responses.length;
+
+      if (responses.length === 0 && page.complete && !resume) {
+        if (cursor) {
+          logActivity(
+            "INFO",
+            `No new responses for survey ${formId} since ${cursor.submittedAt}`
+          );
+          updateSurveyStatus(formId, "Complete");
+          return { formId, success: true, message: "No new responses" };
+        }
 
-      if (responses.length === 0) {
         logActivity("WARNING", `No responses found for survey ${formId}`);
         updateSurveyStatus(formId, "Complete");
         return { formId, success: true, message: "No responses to process" };
       }
 
-      // Process and clean data
-      const cleanedData = processResponseData(responses, formData.fields);
-
-      // Create or update individual sheet
-      const sheetUrl = createOrUpdateDataSheet(
-        surveyTitle,
-        cleanedData,
-        formId
+      // A full sync only clears the sheet on its first slice
+      const incremental =
+        cursor !== null || (resume !== null && resume.written);
+      const nextCursor = buildSyncCursor(
+        responses,
+        resume ? resume.nextCursor : cursor
       );
+      let sheetResult = { url: null, added: 0, updated: 0 };
+
+      if (responses.length > 0) {
+        // Process and clean data, setting aside responses that fail validation
+        const quarantine = [];
+        const cleanedData = processResponseData(
+          responses,
+          formData.fields,
+          formData,
+          quarantine
+        );
+        if (quarantine.length > 0) {
+          logActivity(
+            "WARNING",
+            `Quarantined ${quarantine.length} responses for survey ${formId}`
+          );
+        }
+
+        // Keep identities only in the restricted mapping spreadsheet
+        savePseudonymMapping(formId, surveyTitle);
+
+        // Create or update individual sheet
+        const columns = buildDataColumns(formId, formData.fields);
+        sheetResult = createOrUpdateDataSheet(
+          surveyTitle,
+          cleanedData,
+          formId,
+          {
+            incremental: incremental,
+            syncCursor: nextCursor,
+            columns: columns,
+            quarantine: quarantine,
+          }
+        );
+        runMetrics.added += sheetResult.added;
+        runMetrics.updated += sheetResult.updated;
+
+        // A rebuilt sheet is the new baseline for response count drops
+        if (!incremental) resetResponseCountPeak(formId);
+
+        // Update the cross-survey long-format table
+        updateAllResponsesSheet(formId, surveyTitle, cleanedData, columns, {
+          replaceAll: !incremental,
+          removedIds: sheetResult.removedIds,
+        });
+
+        // Update mega database
+        updateMegaDatabase(
+          surveyTitle,
+          formId,
+          sheetResult.url,
+          sheetResult.totalRows,
+          {
+            quarantined: sheetResult.quarantined,
+            uniqueRespondents: sheetResult.uniqueRespondents,
+          }
+        );
+
+        // A full rebuild would re-alert on every historical response
+        if (incremental) {
+          notifyLowRatings(
+            formId,
+            surveyTitle,
+            selectAddedRows(cleanedData, sheetResult),
+            columns,
+            sheetResult.url
+          );
+        }
+      }
+
+      const added = (resume ? resume.added : 0) + sheetResult.added;
+      const updated = (resume ? resume.updated : 0) + sheetResult.updated;
 
-      // Update mega database
-      updateMegaDatabase(surveyTitle, formId, sheetUrl, responses.length);
+      if (!page.complete) {
+        updateSurveyStatus(formId, "In Progress");
+        logActivity(
+          "INFO",
+          `Paused survey ${formId} after ${
+            added + updated
+          } responses, will resume from ${page.nextBefore}`
+        );
+        return {
+          formId,
+          success: true,
+          partial: true,
+          resume: {
+            cursor: cursor,
+            before: page.nextBefore,
+            nextCursor: nextCursor,
+            written: incremental || responses.length > 0,
+            added: added,
+            updated: updated,
+          },
+        };
+      }
+
+      // Only advance the cursor once the data has been written
+      setSyncCursor(formId, nextCursor);
 
       // Update status to "Complete"
       updateSurveyStatus(formId, "Complete");
 
-      logActivity("SUCCESS", `Successfully processed survey ${formId}`);
-      return { formId, success: true, sheetUrl };
+      logActivity(
+        "SUCCESS",
+        `Successfully processed survey ${formId} (${
+          cursor ? "incremental" : "full"
+        } sync: ${added} added, ${updated} updated)`,
+        {
+          formId: formId,
+          durationMs: Date.now() - startedAt,
+          mode: cursor ? "incremental" : "full",
+          added: added,
+          updated: updated,
+        }
+      );
+      return {
+        formId,
+        success: true,
+        sheetUrl: sheetResult.url,
+        added: added,
+        updated: updated,
+      };
     } catch (error) {
       retryCount++;
       logActivity(
         "ERROR",
-        `Attempt ${retryCount} failed for survey ${formId}: ${error.toString()}`
+        `Attempt ${retryCount} failed for survey ${formId}: ${error.toString()}`,
+        {
+          formId: formId,
+          durationMs: Date.now() - startedAt,
+          attempt: retryCount,
+        }
       );
 
-      if (retryCount >= CONFIG.MAX_RETRIES) {
+      if (retryCount >= CONFIG.MAX_RETRIES || error.retryable === false) {
         updateSurveyStatus(formId, "Failed");
         throw new Error(
-          `Failed to process survey ${formId} after ${
-            CONFIG.MAX_RETRIES
-          } attempts: ${error.toString()}`
+          `Failed to process survey ${formId} after ${retryCount} attempts: ${error.toString()}`
         );
       }
 
@@ -202,794 +539,7102 @@ function processSingleSurvey(formId, sprintName = null) {
 }
 
 // ============================================================================
-// TYPEFORM API INTEGRATION
+// RESUMABLE PROCESSING JOBS
 // ============================================================================
 
 /**
- * Get list of all Typeforms
+ * Queue surveys as a processing job and start working through it
  */
-function getTypeforms() {
-  const url = `${CONFIG.TYPEFORM_API_BASE}/forms`;
-  const options = {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${CONFIG.TYPEFORM_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-  };
+function startProcessingJob(items, source) {
+  // Checking for and saving the job happen under one lock so two runs
+  // started at the same moment cannot both go ahead
+  const job = withScriptLock(() => {
+    const existing = getProcessingJob();
+    if (existing) {
+      const error = new Error(
+        isJobStale(existing)
+          ? `A processing job started ${existing.startedAt} by ${existing.startedBy} appears to be stuck. Reset it from 🧭 Processing Job Status first.`
+          : `Another run is in progress since ${existing.startedAt} by ${
+              existing.startedBy
+            } (${describeJobProgress(existing)}).`
+      );
+      error.locked = true;
+      throw error;
+    }
 
-  const response = UrlFetchApp.fetch(url, options);
+    const now = new Date().toISOString();
+    const newJob = {
+      id: Utilities.getUuid(),
+      // Continuation slices log under the run that queued the job
+      runId: getLogRunId(),
+      source: source,
+      startedBy: getCurrentUserEmail(),
+      startedAt: now,
+      updatedAt: now,
+      items: items.map((item) => ({
+        formId: item.formId,
+        name: item.name,
+        status: item.status || "pending",
+        message: item.message,
+      })),
+    };
 
-  if (response.getResponseCode() !== 200) {
-    throw new Error(
-      `API Error: ${response.getResponseCode()} - ${response.getContentText()}`
-    );
-  }
+    saveProcessingJob(newJob);
+    return newJob;
+  });
+
+  job.items.forEach((item) => {
+    if (item.status === "pending") updateSurveyStatus(item.formId, "Queued");
+  });
+  logActivity(
+    "INFO",
+    `Queued processing job ${job.id} with ${job.items.length} surveys`
+  );
 
-  const data = JSON.parse(response.getContentText());
-  return data.items || [];
+  return runProcessingJob();
 }
 
 /**
- * Get Typeform metadata
+ * Work through the current job until it finishes or the time budget runs
+ * out, in which case a continuation trigger picks it up again. A failing
+ * survey is recorded and the job moves on to the next one.
  */
-function getTypeformData(formId) {
-  const url = `${CONFIG.TYPEFORM_API_BASE}/forms/${formId}`;
-  const options = {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${CONFIG.TYPEFORM_TOKEN}`,
-      "Content-Type": "application/json",
-    },
-  };
-
-  const response = UrlFetchApp.fetch(url, options);
+function runProcessingJob() {
+  const job = getProcessingJob();
+  const logScope = beginLogRun({ runId: job ? job.runId : null });
 
-  if (response.getResponseCode() !== 200) {
-    throw new Error(
-      `API Error: ${response.getResponseCode()} - ${response.getContentText()}`
+  // Only one execution may work on the job at a time
+  const lock = acquireRunLock("job", "job runner");
+  if (!lock.acquired) {
+    logActivity(
+      "WARNING",
+      describeRunLock("The processing job", lock.holder) + " Skipping."
     );
+    endLogRun(logScope);
+    return null;
   }
 
-  return JSON.parse(response.getContentText());
+  try {
+    return runProcessingJobSlice();
+  } finally {
+    releaseRunLock("job", lock.lease);
+    endLogRun(logScope);
+  }
 }
 
 /**
- * Get Typeform responses
+ * Process the current job's surveys for one time-budgeted slice
  */
-function getTypeformResponses(formId, pageSize = CONFIG.BATCH_SIZE) {
-  let allResponses = [];
-  let before = null;
+function runProcessingJobSlice() {
+  const job = getProcessingJob();
+  if (!job) return null;
 
-  do {
-    const url = `${CONFIG.TYPEFORM_API_BASE}/forms/${formId}/responses`;
-    const params = [`page_size=${pageSize}`];
+  const deadline = Date.now() + CONFIG.JOB_TIME_BUDGET_MS;
 
-    if (before) {
-      params.push(`before=${before}`);
-    }
+  for (const item of job.items) {
+    if (isJobItemSettled(item)) continue;
+    if (Date.now() > deadline) break;
 
-    const fullUrl = `${url}?${params.join("&")}`;
+    item.status = "running";
+    saveProcessingJob(job);
+    reportJobProgress(job);
 
-    const options = {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${CONFIG.TYPEFORM_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-    };
+    try {
+      const result = processSingleSurvey(item.formId, item.name, {
+        deadline: deadline,
+        resume: item.resume,
+        source: job.source,
+      });
 
-    const response = UrlFetchApp.fetch(fullUrl, options);
+      if (result.partial) {
+        item.resume = result.resume;
+        break;
+      }
 
-    if (response.getResponseCode() !== 200) {
-      throw new Error(
-        `API Error: ${response.getResponseCode()} - ${response.getContentText()}`
+      item.status = "done";
+      item.message =
+        result.message || `${result.added} added, ${result.updated} updated`;
+      delete item.resume;
+    } catch (error) {
+      // A survey locked by another run is left to that run
+      item.status = error.locked ? "skipped" : "failed";
+      item.message = error.toString();
+      delete item.resume;
+      logActivity(
+        "ERROR",
+        `Job ${job.id} continuing past failed survey ${item.formId}`
       );
     }
+  }
 
-    const data = JSON.parse(response.getContentText());
-    const responses = data.items || [];
-
-    allResponses = allResponses.concat(responses);
+  const finished = job.items.every(isJobItemSettled);
 
-    // Set up for next page if there are more responses
-    before =
-      responses.length > 0 ? responses[responses.length - 1].token : null;
+  if (finished) {
+    finishProcessingJob(job);
+  } else {
+    saveProcessingJob(job);
+    reportJobProgress(job);
+    scheduleJobContinuation();
+    logActivity(
+      "INFO",
+      `Time budget reached for job ${job.id} (${describeJobProgress(
+        job
+      )}), continuing in a new execution`
+    );
+  }
 
-    // Break if we got fewer responses than requested (last page)
-    if (responses.length < pageSize) {
-      break;
-    }
+  return buildRunResult(job.items, finished);
+}
 
-    // Brief pause between API calls
-    Utilities.sleep(500);
-  } while (before);
+/**
+ * Whether a job item needs no more work
+ */
+function isJobItemSettled(item) {
+  return (
+    item.status === "done" ||
+    item.status === "failed" ||
+    item.status === "skipped"
+  );
+}
 
-  return allResponses;
+/**
+ * Group job items into a structured run result
+ */
+function buildRunResult(items, finished = true) {
+  const pick = (status) =>
+    items
+      .filter((item) => item.status === status)
+      .map((item) => ({
+        formId: item.formId,
+        name: item.name,
+        reason: item.message || "",
+      }));
+
+  return {
+    finished: finished,
+    succeeded: pick("done"),
+    failed: pick("failed"),
+    skipped: pick("skipped"),
+    pending: items
+      .filter((item) => !isJobItemSettled(item))
+      .map((item) => ({ formId: item.formId, name: item.name, reason: "" })),
+  };
 }
 
-// ============================================================================
-// DATA PROCESSING FUNCTIONS
-// ============================================================================
+/**
+ * Record a one-line summary of a finished run in the logs
+ */
+function writeRunSummary(label, result) {
+  const failures = result.failed
+    .map((item) => `${item.name} (${item.reason})`)
+    .join("; ");
+
+  logActivity(
+    "SUMMARY",
+    `${label}: ${result.succeeded.length} succeeded, ${
+      result.failed.length
+    } failed, ${result.skipped.length} skipped${
+      failures ? ` - failed: ${failures}` : ""
+    }`,
+    {
+      finished: result.finished,
+      succeeded: result.succeeded.length,
+      failed: result.failed.map((item) => item.formId),
+      skipped: result.skipped.length,
+      pending: result.pending.length,
+    }
+  );
+}
 
 /**
- * Process and clean response data
+ * Tell the user how a run went, when there is a UI to show it in
  */
-function processResponseData(responses, fields) {
-  if (!responses || responses.length === 0) {
-    return [];
+function showRunResultDialog(title, result) {
+  const ui = getUiIfAvailable();
+  if (!ui || !result) return;
+
+  if (!result.finished) {
+    ui.alert(
+      title,
+      `Processed ${result.succeeded.length} surveys so far (${result.failed.length} failed). The remaining ${result.pending.length} will continue automatically in the background.`,
+      ui.ButtonSet.OK
+    );
+    return;
   }
 
-  // Create field mapping for easier access
-  const fieldMap = {};
-  if (fields) {
-    fields.forEach((field) => {
-      fieldMap[field.id] = {
-        title: field.title || field.id,
-        type: field.type,
-      };
-    });
+  let message = `✅ ${result.succeeded.length} succeeded\n❌ ${result.failed.length} failed\n⏭️ ${result.skipped.length} skipped`;
+  if (result.failed.length > 0) {
+    message += `\n\nFailed surveys:\n${result.failed
+      .map((item) => `• ${item.name}: ${item.reason}`)
+      .join("\n")}`;
   }
 
-  const processedData = [];
+  ui.alert(title, message, ui.ButtonSet.OK);
+}
 
-  responses.forEach((response, index) => {
-    try {
-      const row = {
-        "Response ID": response.token,
-        "Submitted At": formatDate(response.submitted_at),
-        "Response Index": index + 1,
-      };
+/**
+ * Get the spreadsheet UI, or null when running from a trigger or web app
+ */
+function getUiIfAvailable() {
+  try {
+    return SpreadsheetApp.getUi();
+  } catch (error) {
+    return null;
+  }
+}
 
-      // Process answers
-      if (response.answers) {
-        response.answers.forEach((answer) => {
-          const fieldInfo = fieldMap[answer.field.id] || {
-            title: answer.field.id,
-          };
-          const fieldTitle = cleanFieldTitle(fieldInfo.title);
+/**
+ * Trigger handler that continues an unfinished job
+ */
+function resumeProcessingJob() {
+  deleteJobContinuationTriggers();
+
+  // Continuation slices add to the history row of the run that queued them
+  const job = getProcessingJob();
+  const record = beginRunRecord(
+    "resumeProcessingJob",
+    job ? job.source : "job",
+    job ? job.runId : null
+  );
 
-          // Extract answer value based on type
-          row[fieldTitle] = extractAnswerValue(answer, fieldInfo.type);
-        });
-      }
+  try {
+    endRunRecord(record, runProcessingJob());
+  } catch (error) {
+    endRunRecord(record, null, error);
+    logActivity("ERROR", `Resumed job failed: ${error.toString()}`);
+  }
+}
 
-      processedData.push(row);
-    } catch (error) {
-      logActivity(
-        "ERROR",
-        `Error processing response ${index}: ${error.toString()}`
-      );
-      // Continue processing other responses
-    }
-  });
+/**
+ * Clear a finished job and report the outcome
+ */
+function finishProcessingJob(job) {
+  PropertiesService.getScriptProperties().deleteProperty("PROCESSING_JOB");
+  deleteJobContinuationTriggers();
+  reportJobProgress(job, true);
 
-  return processedData;
+  updateMegaSheetStatus();
+  writeRunSummary(`Job ${job.id} (${job.source})`, buildRunResult(job.items));
+
+  // Scheduled runs end with the email digest, wherever the job finished
+  if (job.source === "scheduled") {
+    sendDigestIfDue();
+  }
 }
 
 /**
- * Extract answer value from response
+ * Get the current processing job, or null
  */
-function extractAnswerValue(answer, fieldType) {
-  if (!answer) return "";
+function getProcessingJob() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("PROCESSING_JOB");
+  return value ? JSON.parse(value) : null;
+}
 
-  try {
-    // Handle different answer types
-    if (answer.text !== undefined) return cleanText(answer.text);
-    if (answer.email !== undefined) return answer.email;
-    if (answer.url !== undefined) return answer.url;
-    if (answer.number !== undefined) return answer.number;
-    if (answer.boolean !== undefined) return answer.boolean;
-    if (answer.date !== undefined) return formatDate(answer.date);
-
-    // Handle choice-based answers
-    if (answer.choice) {
-      if (answer.choice.label) return cleanText(answer.choice.label);
-      if (answer.choice.other) return cleanText(answer.choice.other);
-    }
-
-    // Handle multiple choices
-    if (answer.choices) {
-      const labels = answer.choices.map(
-        (choice) => choice.label || choice.other || "Unknown"
-      );
-      return labels.join(", ");
-    }
+/**
+ * Persist the job, recording a heartbeat for stuck-job detection
+ */
+function saveProcessingJob(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(
+    "PROCESSING_JOB",
+    JSON.stringify(job)
+  );
+}
 
-    // Handle file uploads
-    if (answer.file_url) return answer.file_url;
+/**
+ * A job is stuck when it has not made progress for JOB_STALE_MINUTES
+ */
+function isJobStale(job) {
+  const idle = Date.now() - new Date(job.updatedAt).getTime();
+  return idle > CONFIG.JOB_STALE_MINUTES * 60 * 1000;
+}
 
-    // Handle payment
-    if (answer.payment)
-      return `${answer.payment.amount} ${answer.payment.currency}`;
+/**
+ * Short progress description such as "3/7 surveys, 1 failed"
+ */
+function describeJobProgress(job) {
+  const settled = job.items.filter(isJobItemSettled).length;
+  const failed = job.items.filter((item) => item.status === "failed").length;
+  const text = `${settled}/${job.items.length} surveys`;
+  return failed > 0 ? `${text}, ${failed} failed` : text;
+}
 
-    return "";
-  } catch (error) {
-    logActivity(
-      "WARNING",
-      `Error extracting answer value: ${error.toString()}`
-    );
-    return "";
+/**
+ * Show job progress on the Sync Health tab
+ */
+function reportJobProgress(job, finished = false) {
+  const cell = getSyncHealthSheet().getRange(CONFIG.JOB_PROGRESS_CELL);
+  if (!job) {
+    cell.setValue("No processing job running");
+    return;
   }
+
+  const state = finished ? "Finished" : "Running";
+  cell.setValue(
+    `Job ${state}: ${describeJobProgress(job)} (updated ${Utilities.formatDate(
+      new Date(),
+      getReportingTimeZone(),
+      "yyyy-MM-dd HH:mm"
+    )})`
+  );
 }
 
 /**
- * Clean and standardize text
+ * Schedule a one-off trigger to continue the job (or, with another
+ * handler, the export job)
  */
-function cleanText(text) {
-  if (!text) return "";
+function scheduleJobContinuation(handler = "resumeProcessingJob") {
+  deleteJobContinuationTriggers(handler);
+  ScriptApp.newTrigger(handler)
+    .timeBased()
+    .after(CONFIG.JOB_CONTINUATION_DELAY_MS)
+    .create();
+}
 
-  return text
-    .toString()
-    .trim()
-    .replace(/\s+/g, " ")
-    .replace(/[\r\n]+/g, " | ");
+/**
+ * Remove pending job continuation triggers
+ */
+function deleteJobContinuationTriggers(handler = "resumeProcessingJob") {
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (trigger.getHandlerFunction() === handler) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
 }
 
 /**
- * Clean field titles for column headers
+ * Show the current job and offer to reset it
  */
-function cleanFieldTitle(title) {
-  if (!title) return "Unknown Field";
+function showProcessingJobDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const job = getProcessingJob();
 
-  return title
-    .toString()
-    .trim()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/\s+/g, " ")
-    .substring(0, 100); // Limit length
+  if (!job) {
+    ui.alert(
+      "Processing Job Status",
+      "No processing job is running.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const stale = isJobStale(job);
+  const lines = job.items.map(
+    (item) => `• ${item.name}: ${item.status}${item.resume ? " (paused)" : ""}`
+  );
+  const answer = ui.alert(
+    "Processing Job Status",
+    `${stale ? "⚠️ This job appears to be stuck.\n\n" : ""}Started ${
+      job.startedAt
+    } by ${job.startedBy} (${job.source})\nLast activity ${
+      job.updatedAt
+    }\nProgress: ${describeJobProgress(job)}\n\n${lines.join(
+      "\n"
+    )}\n\nReset this job?`,
+    ui.ButtonSet.YES_NO
+  );
+
+  if (answer === ui.Button.YES) {
+    resetProcessingJob();
+    ui.alert("Success", "Processing job reset.", ui.ButtonSet.OK);
+  }
 }
 
 /**
- * Format date consistently
+ * Abandon the current job and its continuation trigger
  */
-function formatDate(dateString) {
-  if (!dateString) return "";
+function resetProcessingJob() {
+  const job = getProcessingJob();
+  if (!job) return;
+
+  job.items.forEach((item) => {
+    if (item.status === "pending" || item.status === "running") {
+      updateSurveyStatus(item.formId, "Cancelled");
+    }
+  });
+
+  // Drop the runner's lock too, in case the execution holding it died
+  PropertiesService.getScriptProperties().deleteProperty("PROCESSING_JOB");
+  PropertiesService.getScriptProperties().deleteProperty("RUN_LOCK_job");
+  deleteJobContinuationTriggers();
+  reportJobProgress(null);
+  logActivity("WARNING", `Processing job ${job.id} was reset`);
+}
 
+/**
+ * Email of the user running the script, or "trigger" when unavailable
+ */
+function getCurrentUserEmail() {
   try {
-    const date = new Date(dateString);
-    return date.toLocaleString();
+    return Session.getActiveUser().getEmail() || "trigger";
   } catch (error) {
-    return dateString;
+    return "trigger";
   }
 }
 
 // ============================================================================
-// GOOGLE SHEETS MANAGEMENT
+// DRY RUN PREVIEW
 // ============================================================================
 
 /**
- * Get or create mega database sheet
+ * Menu action to preview processing every Typeform survey
  */
-function getMegaSheet() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  return spreadsheet.getSheetByName(CONFIG.MEGA_SHEET_NAME);
+function previewAllSurveys() {
+  return processAllSurveys({ dryRun: true });
 }
 
 /**
- * Create mega database sheet
+ * Menu action to preview processing the registered surveys
  */
-function createMegaSheet() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = spreadsheet.insertSheet(CONFIG.MEGA_SHEET_NAME);
-
-  // Set up headers
-  const headers = [
-    "Sprint Name",
-    "Form ID",
-    "Source Sheet Link",
-    "Response Count",
-    "Date Created",
-    "Last Updated",
-    "Processing Status",
-    "Action",
-  ];
-
-  const headerRange = sheet.getRange(1, 1, 1, headers.length);
-  headerRange.setValues([headers]);
-  headerRange.setFontWeight("bold");
-  headerRange.setBackground("#4285F4");
-  headerRange.setFontColor("white");
+function previewRegisteredSurveys() {
+  return processYourSurveys({ dryRun: true });
+}
 
-  // Format columns
-  sheet.setColumnWidth(1, 200); // Sprint Name
-  sheet.setColumnWidth(2, 150); // Form ID
-  sheet.setColumnWidth(3, 300); // Source Sheet Link
-  sheet.setColumnWidth(4, 120); // Response Count
-  sheet.setColumnWidth(5, 150); // Date Created
-  sheet.setColumnWidth(6, 150); // Last Updated
-  sheet.setColumnWidth(7, 120); // Processing Status
-  sheet.setColumnWidth(8, 100); // Action
+// Set while a survey is previewed, so shared readers skip creating their
+// sheets and the privacy salt
+let dryRunInProgress = false;
 
-  return sheet;
+/**
+ * Fetch and clean a survey as a sync would, and describe what the sync
+ * would change. Nothing in Drive, the Master Database, the sync cursor,
+ * the rule and question map sheets, the privacy salt or the identified
+ * mapping is touched.
+ */
+function previewSurvey(formId, sprintName = null, options = {}) {
+  dryRunInProgress = true;
+  try {
+    return buildSurveyPreview(formId, sprintName, options);
+  } finally {
+    dryRunInProgress = false;
+  }
 }
 
 /**
- * Get or create log sheet
+ * Describe what syncing one survey would change
  */
-function getLogSheet() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  return spreadsheet.getSheetByName(CONFIG.LOG_SHEET_NAME);
+function buildSurveyPreview(formId, sprintName, options) {
+  if (!sprintName && getRegistrySheet()) {
+    const registered = findRegisteredSurvey(formId);
+    if (registered) sprintName = registered.name;
+  }
+
+  const formData = getTypeformData(formId);
+  const surveyTitle = sprintName || formData.title || `Survey_${formId}`;
+  const spreadsheet = findDataSpreadsheet(surveyTitle);
+  const cursor =
+    options.fullResync || !spreadsheet ? null : getSyncCursor(formId);
+
+  const page = fetchResponsePages(formId, {
+    since: cursor ? cursor.submittedAt : null,
+    deadline: options.deadline,
+  });
+  const responses = filterSyncedResponses(page.responses, cursor);
+
+  const quarantine = [];
+  const cleanedData = processResponseData(
+    responses,
+    formData.fields,
+    formData,
+    quarantine
+  );
+  // Pseudonyms are only recorded by real syncs
+  pendingPseudonyms.clear();
+
+  const columns = buildDataColumns(formId, formData.fields);
+  const headers =
+    cleanedData.length > 0
+      ? collectDataHeaders(cleanedData)
+      : ["Response ID", "Submitted At", "Response Index"].concat(
+          columns.map((column) => column.header)
+        );
+  const existingHeaders = spreadsheet ? readDataSheetHeaders(spreadsheet) : [];
+  const mappedRefs = new Set(
+    readQuestionMap()
+      .filter((row) => row.formId === formId)
+      .map((row) => row.ref)
+  );
+
+  let action = `Create ${surveyTitle}_Data`;
+  if (spreadsheet) {
+    action = cursor ? "Update existing sheet" : "Overwrite existing sheet";
+  }
+
+  logActivity(
+    "INFO",
+    `Dry run for survey ${formId}: ${action}, ${cleanedData.length} rows, ${quarantine.length} quarantined`,
+    { formId: formId }
+  );
+
+  return {
+    formId,
+    name: surveyTitle,
+    success: true,
+    dryRun: true,
+    action: action,
+    mode: cursor ? "incremental" : "full",
+    fetched: page.responses.length,
+    complete: page.complete,
+    rows: cleanedData.length,
+    headers: headers,
+    newHeaders: spreadsheet
+      ? headers.filter((header) => !existingHeaders.includes(header))
+      : [],
+    retiredHeaders: existingHeaders.filter(
+      (header) => header !== "Duplicate" && !headers.includes(header)
+    ),
+    unmappedQuestions: buildQuestionColumns(formData.fields)
+      .filter((column) => !mappedRefs.has(column.ref))
+      .map((column) => column.title),
+    quarantine: quarantine.map((row) => ({
+      responseId: row["Response ID"],
+      rule: row["Failed Rule"],
+      reason: row["Reason"],
+    })),
+  };
 }
 
 /**
- * Create log sheet
+ * Preview a batch of job items within one time budget, then report the
+ * results on the Dry Run Preview tab and in a dialog
  */
-function createLogSheet() {
-  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = spreadsheet.insertSheet(CONFIG.LOG_SHEET_NAME);
-
-  const headers = ["Timestamp", "Level", "Message"];
-  const headerRange = sheet.getRange(1, 1, 1, headers.length);
-  headerRange.setValues([headers]);
-  headerRange.setFontWeight("bold");
-  headerRange.setBackground("#34A853");
-  headerRange.setFontColor("white");
+function previewSurveys(items, title) {
+  const deadline = Date.now() + CONFIG.JOB_TIME_BUDGET_MS;
+  const previews = [];
+
+  items.forEach((item) => {
+    const base = { formId: item.formId, name: item.name };
+
+    if (item.status === "skipped") {
+      previews.push(Object.assign(base, { skipped: item.message }));
+    } else if (Date.now() > deadline) {
+      previews.push(
+        Object.assign(base, { error: "Not previewed, time budget reached" })
+      );
+    } else {
+      try {
+        previews.push(
+          previewSurvey(item.formId, item.name, { deadline: deadline })
+        );
+      } catch (error) {
+        previews.push(Object.assign(base, { error: error.message }));
+      }
+    }
+  });
 
-  sheet.setColumnWidth(1, 180);
-  sheet.setColumnWidth(2, 80);
-  sheet.setColumnWidth(3, 500);
+  writeDryRunSheet(previews);
+  showDryRunDialog(title, previews);
+  return { dryRun: true, previews: previews };
+}
 
-  return sheet;
+/**
+ * Read the header row of an existing data sheet without changing it
+ */
+function readDataSheetHeaders(spreadsheet) {
+  const sheet =
+    spreadsheet.getSheetByName(CONFIG.DATA_SHEET_NAME) ||
+    spreadsheet.getSheets()[0];
+  if (sheet.getLastColumn() === 0) return [];
+
+  return sheet
+    .getRange(1, 1, 1, sheet.getLastColumn())
+    .getValues()[0]
+    .filter((header) => header !== "");
 }
 
 /**
- * Create or update individual data sheet
+ * Replace the Dry Run Preview tab with a plan per survey and the responses
+ * that would be quarantined
  */
-function createOrUpdateDataSheet(sprintName, data, formId) {
-  try {
-    const folder = getOrCreateDataFolder();
-    const fileName = `${sprintName}_Data`;
+function writeDryRunSheet(previews) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(CONFIG.DRY_RUN_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.DRY_RUN_SHEET_NAME);
+  }
+  sheet.clear();
 
-    // Check if spreadsheet already exists
-    const files = folder.getFilesByName(fileName);
-    let spreadsheet;
-
-    if (files.hasNext()) {
-      // Update existing spreadsheet
-      const file = files.next();
-      spreadsheet = SpreadsheetApp.openById(file.getId());
-      const sheet = spreadsheet.getActiveSheet();
-      sheet.clear();
-    } else {
-      // Create new spreadsheet
-      spreadsheet = SpreadsheetApp.create(fileName);
-      const file = DriveApp.getFileById(spreadsheet.getId());
-      folder.addFile(file);
-      DriveApp.getRootFolder().removeFile(file);
+  const planHeaders = [
+    "Survey",
+    "Form ID",
+    "Planned Action",
+    "Mode",
+    "Fetched",
+    "Rows",
+    "Quarantined",
+    "New Columns",
+    "Columns No Longer In Form",
+    "Unmapped Questions",
+    "Planned Headers",
+    "Notes",
+  ];
+  const planRows = previews.map((preview) => {
+    if (!preview.dryRun) {
+      return [preview.name, preview.formId, preview.skipped ? "Skip" : "Error"]
+        .concat(["", "", "", "", "", "", "", ""])
+        .concat(preview.skipped || preview.error);
     }
+    return [
+      preview.name,
+      preview.formId,
+      preview.action,
+      preview.mode,
+      preview.fetched,
+      preview.rows,
+      preview.quarantine.length,
+      preview.newHeaders.join(" | "),
+      preview.retiredHeaders.join(" | "),
+      preview.unmappedQuestions.join(" | "),
+      preview.headers.join(" | "),
+      preview.complete ? "" : "More responses than fit in one preview",
+    ];
+  });
 
-    const sheet = spreadsheet.getActiveSheet();
-    sheet.setName("Survey Data");
+  const issueHeaders = ["Survey", "Response ID", "Rule", "Reason"];
+  const issueRows = [];
+  previews.forEach((preview) => {
+    (preview.quarantine || []).forEach((issue) => {
+      issueRows.push([
+        preview.name,
+        issue.responseId,
+        issue.rule,
+        issue.reason,
+      ]);
+    });
+  });
 
-    if (data && data.length > 0) {
-      // Get all unique column headers
-      const allHeaders = new Set();
-      data.forEach((row) => {
-        Object.keys(row).forEach((key) => allHeaders.add(key));
-      });
+  const styleHeader = (row, width) =>
+    sheet
+      .getRange(row, 1, 1, width)
+      .setFontWeight("bold")
+      .setBackground("#674EA7")
+      .setFontColor("white");
+
+  sheet
+    .getRange(1, 1)
+    .setValue(
+      `Dry run preview - ${formatIsoDate(
+        new Date()
+      )}. Nothing was written to Drive or the Master Database; this tab is replaced by the next preview and can be deleted.`
+    )
+    .setFontStyle("italic");
+
+  sheet.getRange(3, 1, 1, planHeaders.length).setValues([planHeaders]);
+  styleHeader(3, planHeaders.length);
+  if (planRows.length > 0) {
+    sheet
+      .getRange(4, 1, planRows.length, planHeaders.length)
+      .setValues(planRows);
+  }
 
-      const headers = Array.from(allHeaders);
+  const issueStart = 4 + planRows.length + 1;
+  sheet
+    .getRange(issueStart, 1)
+    .setValue("Validation issues")
+    .setFontWeight("bold");
+  sheet
+    .getRange(issueStart + 1, 1, 1, issueHeaders.length)
+    .setValues([issueHeaders]);
+  styleHeader(issueStart + 1, issueHeaders.length);
+  if (issueRows.length > 0) {
+    sheet
+      .getRange(issueStart + 2, 1, issueRows.length, issueHeaders.length)
+      .setValues(issueRows);
+  } else {
+    sheet.getRange(issueStart + 2, 1).setValue("✅ None");
+  }
 
-      // Create header row
-      sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-      sheet.getRange(1, 1, 1, headers.length).setFontWeight("bold");
-      sheet.getRange(1, 1, 1, headers.length).setBackground("#FF9900");
-      sheet.getRange(1, 1, 1, headers.length).setFontColor("white");
+  sheet.autoResizeColumns(1, 10);
+}
 
-      // Add data rows
-      const rows = data.map((row) =>
-        headers.map((header) => row[header] || "")
-      );
+/**
+ * Summarise a dry run in a dialog when run from the menu
+ */
+function showDryRunDialog(title, previews) {
+  const ui = getUiIfAvailable();
+  if (!ui) return;
 
-      if (rows.length > 0) {
-        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
-      }
+  const lines = previews.slice(0, 15).map((preview) => {
+    if (preview.skipped) return `⏭️ ${preview.name}: ${preview.skipped}`;
+    if (preview.error) return `❌ ${preview.name}: ${preview.error}`;
 
-      // Auto-resize columns
-      sheet.autoResizeColumns(1, headers.length);
+    const changes = [];
+    if (preview.newHeaders.length > 0) {
+      changes.push(`+${preview.newHeaders.length} columns`);
+    }
+    if (preview.retiredHeaders.length > 0) {
+      changes.push(`-${preview.retiredHeaders.length} columns`);
+    }
+    if (preview.quarantine.length > 0) {
+      changes.push(`${preview.quarantine.length} quarantined`);
     }
+    return `• ${preview.name}: ${preview.action}, ${preview.rows} rows${
+      changes.length > 0 ? ` (${changes.join(", ")})` : ""
+    }`;
+  });
+  if (previews.length > lines.length) {
+    lines.push(`…and ${previews.length - lines.length} more`);
+  }
 
-    // Add metadata sheet
-    addMetadataSheet(spreadsheet, formId, data.length);
+  ui.alert(
+    title,
+    `${lines.join("\n")}\n\nNothing was changed. Details are on the "${
+      CONFIG.DRY_RUN_SHEET_NAME
+    }" tab.`,
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Show dialog to preview processing one survey
+ */
+function showPreviewSurveyDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    "Preview Single Survey",
+    "Enter the Typeform ID or URL to preview. Nothing will be written to Drive or the Master Database:",
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const formId = extractFormId(result.getResponseText().trim());
+  if (!formId) {
+    ui.alert(
+      "Invalid Input",
+      "Please provide a valid Typeform ID or URL.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
 
-    return spreadsheet.getUrl();
+  try {
+    const preview = processSingleSurvey(formId, null, { dryRun: true });
+    writeDryRunSheet([preview]);
+    showDryRunDialog("Preview Single Survey", [preview]);
   } catch (error) {
-    logActivity(
-      "ERROR",
-      `Error creating data sheet for ${sprintName}: ${error.toString()}`
+    logActivity("ERROR", `Dry run failed for ${formId}: ${error.toString()}`);
+    ui.alert(
+      "Error",
+      `Failed to preview survey: ${error.toString()}`,
+      ui.ButtonSet.OK
     );
-    throw error;
   }
 }
 
+// ============================================================================
+// RUN LOCKING
+// ============================================================================
+
+/**
+ * Try to take the run lock for a scope (a form ID, or "job" for the batch
+ * job runner). Returns { acquired, lease } or { acquired: false, holder }.
+ */
+function acquireRunLock(scope, source) {
+  return withScriptLock(() => {
+    const properties = PropertiesService.getScriptProperties();
+    const key = `RUN_LOCK_${scope}`;
+    const holder = JSON.parse(properties.getProperty(key) || "null");
+
+    if (holder && new Date(holder.expiresAt).getTime() > Date.now()) {
+      return { acquired: false, holder: holder };
+    }
+
+    const lease = {
+      id: Utilities.getUuid(),
+      since: new Date().toISOString(),
+      by: getCurrentUserEmail(),
+      source: source,
+      expiresAt: new Date(
+        Date.now() + CONFIG.LOCK_LEASE_MINUTES * 60 * 1000
+      ).toISOString(),
+    };
+    properties.setProperty(key, JSON.stringify(lease));
+
+    return { acquired: true, lease: lease };
+  });
+}
+
 /**
- * Add metadata sheet to data spreadsheet
+ * Release a run lock, unless it has since expired and been taken by another run
  */
-function addMetadataSheet(spreadsheet, formId, responseCount) {
-  let metaSheet = spreadsheet.getSheetByName("Metadata");
+function releaseRunLock(scope, lease) {
+  withScriptLock(() => {
+    const properties = PropertiesService.getScriptProperties();
+    const key = `RUN_LOCK_${scope}`;
+    const holder = JSON.parse(properties.getProperty(key) || "null");
+
+    if (holder && holder.id === lease.id) {
+      properties.deleteProperty(key);
+    }
+  });
+}
 
-  if (!metaSheet) {
-    metaSheet = spreadsheet.insertSheet("Metadata");
-  } else {
-    metaSheet.clear();
-  }
+/**
+ * Describe who holds a run lock, for logs and dialogs
+ */
+function describeRunLock(subject, holder) {
+  return `${subject} is locked: another run is in progress since ${holder.since} by ${holder.by} (${holder.source}).`;
+}
 
-  const metadata = [
-    ["Property", "Value"],
-    ["Form ID", formId],
-    ["Response Count", responseCount],
-    ["Last Updated", new Date().toLocaleString()],
-    ["Processed By", "Typeform Automation System"],
-  ];
+/**
+ * Run a short critical section under the script-wide lock
+ */
+function withScriptLock(callback) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(CONFIG.LOCK_WAIT_MS);
 
-  metaSheet.getRange(1, 1, metadata.length, 2).setValues(metadata);
-  metaSheet.getRange(1, 1, 1, 2).setFontWeight("bold");
-  metaSheet.autoResizeColumns(1, 2);
+  try {
+    return callback();
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
- * Get or create data folder
+ * Log a run that was skipped because another run holds the lock, and tell
+ * the user when there is a UI
  */
-function getOrCreateDataFolder() {
-  const folders = DriveApp.getFoldersByName(CONFIG.FOLDER_NAME);
+function reportLockedRun(title, error) {
+  logActivity("WARNING", `${title} skipped: ${error.message}`);
 
-  if (folders.hasNext()) {
-    return folders.next();
-  } else {
-    return DriveApp.createFolder(CONFIG.FOLDER_NAME);
+  const ui = getUiIfAvailable();
+  if (ui) {
+    ui.alert("Run In Progress", error.message, ui.ButtonSet.OK);
   }
 }
 
+// ============================================================================
+// TYPEFORM API INTEGRATION
+// ============================================================================
+
 /**
- * Create data folder (for initialization)
+ * Get the API base URL for the configured Typeform data center
  */
-function createDataFolder() {
-  return getOrCreateDataFolder();
+function getTypeformApiBase() {
+  const region =
+    PropertiesService.getScriptProperties().getProperty("TYPEFORM_REGION") ||
+    "";
+  return region.toLowerCase() === "eu"
+    ? CONFIG.TYPEFORM_EU_API_BASE
+    : CONFIG.TYPEFORM_API_BASE;
 }
 
 /**
- * Update mega database with survey information
+ * Send a request to the Typeform API.
+ * 429 responses are retried after their Retry-After delay and 5xx responses
+ * with exponential backoff; authentication and not-found errors fail
+ * immediately. Returns the HTTPResponse for 2xx and 304 responses.
  */
-function updateMegaDatabase(sprintName, formId, sheetUrl, responseCount) {
-  const sheet = getMegaSheet();
-  if (!sheet) throw new Error("Mega database sheet not found");
+function typeformRequest(path, options = {}) {
+  const url = `${getTypeformApiBase()}${path}`;
+  const request = {
+    method: options.method || "GET",
+    headers: Object.assign(
+      {
+        Authorization: `Bearer ${CONFIG.TYPEFORM_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      options.headers || {}
+    ),
+    muteHttpExceptions: true,
+  };
 
-  const data = sheet.getDataRange().getValues();
-  const headers = data[0];
+  if (options.payload) {
+    request.payload = JSON.stringify(options.payload);
+  }
 
-  // Find existing row or create new one
-  let rowIndex = -1;
-  for (let i = 1; i < data.length; i++) {
-    if (data[i][1] === formId) {
-      // Form ID column
-      rowIndex = i;
-      break;
+  for (let attempt = 1; ; attempt++) {
+    const response = UrlFetchApp.fetch(url, request);
+    const code = response.getResponseCode();
+    runMetrics.apiCalls++;
+
+    if ((code >= 200 && code < 300) || code === 304) {
+      return response;
+    }
+
+    if (code === 401 || code === 403 || code === 404) {
+      const error = new Error(
+        code === 404
+          ? `Typeform resource not found (404): ${path}`
+          : `Typeform rejected the API token (${code}) for ${path}. Check the token in the 🎛️ Control Panel settings.`
+      );
+      // Retrying cannot fix these, so callers should give up straight away
+      error.retryable = false;
+      error.status = code;
+      throw error;
+    }
+
+    const retryable = code === 429 || code >= 500;
+    if (retryable && attempt < CONFIG.HTTP_MAX_ATTEMPTS) {
+      const wait =
+        code === 429
+          ? getRetryAfterMs(response, attempt)
+          : Math.pow(2, attempt) * 1000;
+      logActivity(
+        "WARNING",
+        `Typeform returned ${code} for ${path}, retrying in ${wait}ms (attempt ${attempt})`
+      );
+      Utilities.sleep(wait);
+      continue;
     }
+
+    const error = new Error(
+      `API Error: ${code} - ${response.getContentText()}`
+    );
+    error.status = code;
+    throw error;
   }
+}
 
-  const now = new Date().toLocaleString();
-  const rowData = [
-    sprintName,
-    formId,
-    sheetUrl,
-    responseCount,
-    rowIndex === -1 ? now : data[rowIndex][4], // Keep original creation date
-    now,
-    "Complete",
-    "Update",
-  ];
+/**
+ * Send a request to the Typeform API and parse the JSON body
+ */
+function typeformJson(path, options = {}) {
+  const response = typeformRequest(path, options);
+  const body = response.getContentText();
+  return body ? JSON.parse(body) : {};
+}
 
-  if (rowIndex === -1) {
-    // Add new row
-    sheet.appendRow(rowData);
-    rowIndex = sheet.getLastRow();
-  } else {
-    // Update existing row
-    sheet.getRange(rowIndex + 1, 1, 1, rowData.length).setValues([rowData]);
+/**
+ * Work out how long to wait after a 429 from its Retry-After header
+ */
+function getRetryAfterMs(response, attempt) {
+  const headers = response.getHeaders();
+  const retryAfter = Object.keys(headers).find(
+    (name) => name.toLowerCase() === "retry-after"
+  );
+
+  let wait = Math.pow(2, attempt) * 1000;
+  if (retryAfter) {
+    const value = headers[retryAfter];
+    const seconds = Number(value);
+    wait = isNaN(seconds)
+      ? new Date(value).getTime() - Date.now()
+      : seconds * 1000;
   }
 
-  // Format the new/updated row
-  formatMegaSheetRow(sheet, rowIndex + 1);
+  return Math.min(Math.max(wait, 1000), CONFIG.MAX_RETRY_WAIT_MS);
 }
 
 /**
- * Format mega sheet row
+ * Get list of all Typeforms
  */
-function formatMegaSheetRow(sheet, rowNum) {
-  const range = sheet.getRange(rowNum, 1, 1, 8);
+function getTypeforms() {
+  let forms = [];
+  let page = 1;
+  let pageCount = 1;
 
-  // Status color coding
-  const statusCell = sheet.getRange(rowNum, 7);
-  const status = statusCell.getValue();
+  do {
+    const data = typeformJson(`/forms?page_size=200&page=${page}`);
+    forms = forms.concat(data.items || []);
+    pageCount = data.page_count || 1;
+    page++;
+  } while (page <= pageCount);
 
-  switch (status) {
-    case "Complete":
-      statusCell.setBackground("#D9EAD3");
-      break;
-    case "In Progress":
-      statusCell.setBackground("#FFF2CC");
-      break;
-    case "Failed":
-      statusCell.setBackground("#F4CCCC");
-      break;
-  }
+  return forms;
+}
 
-  // Make sheet link clickable
-  const linkCell = sheet.getRange(rowNum, 3);
-  const url = linkCell.getValue();
-  if (url && url.includes("spreadsheet")) {
-    linkCell.setFormula(`=HYPERLINK("${url}", "Open Sheet")`);
+/**
+ * Get Typeform metadata.
+ * Definitions are cached with their ETag so unchanged forms are answered
+ * with a 304 instead of being downloaded again.
+ */
+function getTypeformData(formId) {
+  const cache = CacheService.getScriptCache();
+  const cacheKey = `form_${formId}`;
+  const cached = JSON.parse(cache.get(cacheKey) || "null");
+
+  const response = typeformRequest(`/forms/${formId}`, {
+    headers: cached && cached.etag ? { "If-None-Match": cached.etag } : {},
+  });
+
+  if (response.getResponseCode() === 304 && cached) {
+    return cached.form;
+  }
+
+  const form = JSON.parse(response.getContentText());
+  const headers = response.getHeaders();
+  const etagHeader = Object.keys(headers).find(
+    (name) => name.toLowerCase() === "etag"
+  );
+
+  try {
+    cache.put(
+      cacheKey,
+      JSON.stringify({ etag: etagHeader ? headers[etagHeader] : null, form }),
+      CONFIG.FORM_CACHE_SECONDS
+    );
+  } catch (error) {
+    // Very large forms exceed the cache's value size limit
+    logActivity(
+      "WARNING",
+      `Could not cache form definition ${formId}: ${error.toString()}`
+    );
+  }
+
+  return form;
+}
+
+/**
+ * Get Typeform responses, optionally only those submitted since a timestamp
+ */
+function getTypeformResponses(
+  formId,
+  pageSize = CONFIG.BATCH_SIZE,
+  since = null
+) {
+  return fetchResponsePages(formId, { pageSize, since }).responses;
+}
+
+/**
+ * Page through Typeform responses, newest first.
+ * Stops early once options.deadline has passed (at least one page is always
+ * fetched) and reports the `before` token to continue from.
+ */
+function fetchResponsePages(formId, options = {}) {
+  const pageSize = options.pageSize || CONFIG.BATCH_SIZE;
+  let allResponses = [];
+  let before = options.before || null;
+
+  do {
+    if (
+      options.deadline &&
+      allResponses.length > 0 &&
+      Date.now() > options.deadline
+    ) {
+      return { responses: allResponses, nextBefore: before, complete: false };
+    }
+
+    const params = [`page_size=${pageSize}`];
+
+    if (options.since) {
+      params.push(`since=${encodeURIComponent(options.since)}`);
+    }
+
+    if (before) {
+      params.push(`before=${before}`);
+    }
+
+    const data = typeformJson(`/forms/${formId}/responses?${params.join("&")}`);
+    const responses = data.items || [];
+
+    allResponses = allResponses.concat(responses);
+
+    // Set up for next page if there are more responses
+    before =
+      responses.length > 0 ? responses[responses.length - 1].token : null;
+
+    // Break if we got fewer responses than requested (last page)
+    if (responses.length < pageSize) {
+      break;
+    }
+  } while (before);
+
+  return { responses: allResponses, nextBefore: null, complete: true };
+}
+
+// ============================================================================
+// INCREMENTAL SYNC
+// ============================================================================
+
+/**
+ * Get the stored sync cursor for a form, or null if it has never synced
+ */
+function getSyncCursor(formId) {
+  const value = PropertiesService.getScriptProperties().getProperty(
+    CONFIG.SYNC_CURSOR_PREFIX + formId
+  );
+  if (!value) return null;
+
+  let cursor;
+  try {
+    cursor = JSON.parse(value);
+  } catch (error) {
+    logActivity(
+      "WARNING",
+      `Ignoring unreadable sync cursor for ${formId}: ${error.toString()}`
+    );
+    return null;
+  }
+
+  // Rows written before multiple selections went one per line are joined
+  // with ", ", so the sheet is rebuilt rather than mixing both formats
+  if (cursor.version !== CONFIG.SYNC_CURSOR_VERSION) {
+    logActivity(
+      "INFO",
+      `Sync cursor for ${formId} predates the current cell format, rebuilding in full`
+    );
+    return null;
+  }
+
+  return cursor;
+}
+
+/**
+ * Store the sync cursor for a form
+ */
+function setSyncCursor(formId, cursor) {
+  if (!cursor) return;
+
+  PropertiesService.getScriptProperties().setProperty(
+    CONFIG.SYNC_CURSOR_PREFIX + formId,
+    JSON.stringify(cursor)
+  );
+}
+
+/**
+ * Forget the sync cursor so the next run re-downloads everything
+ */
+function clearSyncCursor(formId) {
+  PropertiesService.getScriptProperties().deleteProperty(
+    CONFIG.SYNC_CURSOR_PREFIX + formId
+  );
+}
+
+/**
+ * Build the next cursor from the newest submission in a batch of responses.
+ * Tokens sharing the newest timestamp are kept because Typeform's `since`
+ * filter is inclusive and would otherwise return them again.
+ */
+function buildSyncCursor(responses, previousCursor = null) {
+  let cursor = previousCursor
+    ? {
+        submittedAt: previousCursor.submittedAt,
+        tokens: previousCursor.tokens || [],
+      }
+    : null;
+
+  responses.forEach((response) => {
+    if (!response.submitted_at) return;
+
+    const submitted = new Date(response.submitted_at).getTime();
+    const current = cursor ? new Date(cursor.submittedAt).getTime() : -1;
+
+    if (submitted > current) {
+      cursor = { submittedAt: response.submitted_at, tokens: [response.token] };
+    } else if (
+      submitted === current &&
+      !cursor.tokens.includes(response.token)
+    ) {
+      cursor.tokens.push(response.token);
+    }
+  });
+
+  if (cursor) {
+    cursor.syncedAt = new Date().toISOString();
+    cursor.version = CONFIG.SYNC_CURSOR_VERSION;
+  }
+
+  return cursor;
+}
+
+/**
+ * Drop responses the cursor has already seen
+ */
+function filterSyncedResponses(responses, cursor) {
+  if (!cursor || !cursor.tokens) return responses;
+
+  return responses.filter(
+    (response) => !cursor.tokens.includes(response.token)
+  );
+}
+
+// ============================================================================
+// DATA PROCESSING FUNCTIONS
+// ============================================================================
+
+/**
+ * Process and clean response data.
+ * Every row carries a column for each question in the form, in form order,
+ * so unanswered questions still get a (blank) column. Hidden fields,
+ * variables and response metadata are added as configured in
+ * CONFIG.EXTRA_COLUMNS.
+ */
+function processResponseData(
+  responses,
+  fields,
+  formDefinition = {},
+  quarantine = null
+) {
+  if (!responses || responses.length === 0) {
+    return [];
+  }
+
+  // Create field mapping for easier access
+  const columns = buildQuestionColumns(
+    fields,
+    getQuestionMap(formDefinition.id)
+  );
+  const fieldMap = {};
+  columns.forEach((column) => {
+    fieldMap[column.id] = column;
+  });
+
+  const extraColumns = buildExtraColumns(formDefinition, responses);
+  const privacyRules = getPrivacyRules(formDefinition.id);
+  const validationRules = getValidationRules(formDefinition.id);
+  const leadingColumns = extraColumns.filter((column) => column.leading);
+  const trailingColumns = extraColumns.filter((column) => !column.leading);
+
+  const processedData = [];
+
+  responses.forEach((response, index) => {
+    try {
+      const row = {
+        "Response ID": response.token,
+        "Submitted At": formatDate(response.submitted_at),
+        "Response Index": index + 1,
+      };
+
+      leadingColumns.forEach((column) => {
+        row[column.header] = extractExtraValue(response, column);
+      });
+
+      columns.forEach((column) => {
+        row[column.header] = "";
+      });
+
+      // Process answers
+      if (response.answers) {
+        response.answers.forEach((answer) => {
+          const fieldInfo = fieldMap[answer.field.id] || {
+            header: cleanFieldTitle(answer.field.ref || answer.field.id),
+            type: answer.field.type,
+          };
+
+          // Extract answer value based on type
+          row[fieldInfo.header] = extractAnswerValue(answer, fieldInfo.type);
+        });
+      }
+
+      trailingColumns.forEach((column) => {
+        row[column.header] = extractExtraValue(response, column);
+      });
+
+      // Validate raw values, then redact before anything reaches a sheet
+      const allColumns = columns.concat(extraColumns);
+      const failure = validateResponse(
+        row,
+        response,
+        allColumns,
+        validationRules
+      );
+      allColumns.forEach((column) => {
+        applyPrivacyAction(row, column, privacyRules);
+      });
+
+      if (!failure) {
+        processedData.push(row);
+      } else if (quarantine) {
+        quarantine.push(buildQuarantineRow(row, failure));
+      }
+    } catch (error) {
+      logActivity(
+        "ERROR",
+        `Error processing response ${index}: ${error.toString()}`
+      );
+      // Continue processing other responses, keeping the failure visible
+      if (quarantine) {
+        quarantine.push(
+          buildQuarantineRow(
+            {
+              "Response ID": response.token,
+              "Submitted At": formatDate(response.submitted_at),
+            },
+            { rule: "processing_error", reason: error.toString() }
+          )
+        );
+      }
+    }
+  });
+
+  return processedData;
+}
+
+/**
+ * Flatten a form definition into one column per question, in form order.
+ * Questions inside `group` and `inline_group` fields are included, and each
+ * column gets a unique header so questions with the same cleaned title are
+ * told apart by their `ref`.
+ */
+function buildQuestionColumns(fields, questionMap = null) {
+  const columns = [];
+  const usedHeaders = new Set([
+    "Response ID",
+    "Submitted At",
+    "Response Index",
+  ]);
+
+  const addFields = (fieldList, parent = null) => {
+    (fieldList || []).forEach((field) => {
+      const nested = field.properties && field.properties.fields;
+      if (nested) {
+        // Groups only organise questions; matrix rows and other composite
+        // fields are prefixed with their parent's title
+        const isGroup = field.type === "group" || field.type === "inline_group";
+        addFields(nested, isGroup ? parent : field);
+        return;
+      }
+
+      const ref = field.ref || field.id;
+      const title = parent
+        ? `${parent.title} - ${field.title || ref}`
+        : field.title || ref;
+
+      // Mapped questions share a canonical column across surveys
+      const mapping = questionMap && questionMap[ref];
+      let header = mapping ? mapping.key : cleanFieldTitle(title);
+      if (usedHeaders.has(header)) {
+        header = `${header} (${ref})`;
+      }
+      usedHeaders.add(header);
+
+      columns.push({
+        id: field.id,
+        ref: ref,
+        title: title,
+        type: (mapping && mapping.type) || field.type,
+        parentType: parent ? parent.type : null,
+        header: header,
+        canonicalKey: mapping ? mapping.key : null,
+      });
+    });
+  };
+
+  addFields(fields);
+  return columns;
+}
+
+/**
+ * Build the configured non-question columns for a form.
+ * Hidden field and variable names come from the form definition, plus any
+ * extra names found on the responses themselves.
+ */
+function buildExtraColumns(formDefinition, responses) {
+  const settings = CONFIG.EXTRA_COLUMNS;
+  const columns = [];
+
+  const collectNames = (definitionNames, key) => {
+    const names = new Set(definitionNames);
+    responses.forEach((response) => {
+      Object.keys(response[key] || {}).forEach((name) => names.add(name));
+    });
+    return Array.from(names);
+  };
+
+  if (settings.landedAt) {
+    columns.push({ header: "Landed At", source: "landed_at", leading: true });
+  }
+
+  if (settings.hiddenFields) {
+    collectNames(formDefinition.hidden || [], "hidden").forEach((name) => {
+      columns.push({
+        header: `Hidden - ${name}`,
+        source: "hidden",
+        key: name,
+        leading: true,
+      });
+    });
+  }
+
+  if (settings.score) {
+    columns.push({ header: "Score", source: "calculated", key: "score" });
+  }
+
+  if (settings.variables) {
+    const variableNames = new Set(Object.keys(formDefinition.variables || {}));
+    responses.forEach((response) => {
+      (response.variables || []).forEach((variable) =>
+        variableNames.add(variable.key)
+      );
+    });
+
+    Array.from(variableNames).forEach((name) => {
+      columns.push({
+        header: `Variable - ${name}`,
+        source: "variables",
+        key: name,
+      });
+    });
+  }
+
+  (settings.metadata || []).forEach((key) => {
+    columns.push({
+      header: key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, " "),
+      source: "metadata",
+      key: key,
+    });
+  });
+
+  return columns;
+}
+
+/**
+ * Read the value for a non-question column from a response
+ */
+function extractExtraValue(response, column) {
+  switch (column.source) {
+    case "landed_at":
+      return formatDate(response.landed_at);
+    case "hidden":
+      return cleanText((response.hidden || {})[column.key]);
+    case "calculated":
+      return response.calculated && response.calculated.score !== undefined
+        ? response.calculated.score
+        : "";
+    case "variables": {
+      const variable = (response.variables || []).find(
+        (item) => item.key === column.key
+      );
+      if (!variable) return "";
+      return variable.type === "number" ? variable.number : variable.text;
+    }
+    case "metadata":
+      return cleanText((response.metadata || {})[column.key]);
+    default:
+      return "";
+  }
+}
+
+// Answer types understood by extractAnswerValue
+const ANSWER_TYPES = [
+  "text",
+  "email",
+  "url",
+  "phone_number",
+  "number",
+  "boolean",
+  "date",
+  "choice",
+  "choices",
+  "file_url",
+  "payment",
+  "multi_format",
+];
+
+// Fields already reported as having an unknown answer type in this execution
+const reportedUnknownFields = new Set();
+
+/**
+ * Extract answer value from response based on its answer and field type
+ */
+function extractAnswerValue(answer, fieldType) {
+  if (!answer) return "";
+
+  try {
+    const answerType = answer.type || detectAnswerType(answer);
+
+    switch (answerType) {
+      case "text":
+        return cleanText(answer.text);
+      case "email":
+        return answer.email;
+      case "url":
+        return answer.url;
+      case "phone_number":
+        return answer.phone_number;
+      case "number":
+        // Ratings, opinion scales and NPS stay numeric
+        return answer.number;
+      case "boolean":
+        return answer.boolean ? "Yes" : "No";
+      case "date":
+        return formatDate(answer.date);
+      case "choice":
+        return formatChoiceAnswer(answer.choice);
+      case "choices":
+        return formatChoicesAnswer(answer.choices, fieldType);
+      case "file_url":
+        return formatFileLink(answer.file_url);
+      case "payment":
+        return formatPaymentAnswer(answer.payment);
+      case "multi_format":
+        return formatMultiFormatAnswer(answer.multi_format);
+      default:
+        logUnknownAnswerType(answer, answerType, fieldType);
+        return "";
+    }
+  } catch (error) {
+    logActivity(
+      "WARNING",
+      `Error extracting answer value: ${error.toString()}`
+    );
+    return "";
+  }
+}
+
+/**
+ * Work out the answer type for payloads that do not include `type`
+ */
+function detectAnswerType(answer) {
+  return ANSWER_TYPES.find((type) => answer[type] !== undefined) || "unknown";
+}
+
+/**
+ * Log an unsupported answer type once per field
+ */
+function logUnknownAnswerType(answer, answerType, fieldType) {
+  const fieldId = answer.field ? answer.field.id : "unknown";
+  if (reportedUnknownFields.has(fieldId)) return;
+
+  reportedUnknownFields.add(fieldId);
+  logActivity(
+    "WARNING",
+    `Unsupported answer type "${answerType}" (field type "${fieldType}") for field ${fieldId}, leaving it blank`
+  );
+}
+
+/**
+ * Format a single choice, falling back to the "other" text
+ */
+function formatChoiceAnswer(choice) {
+  if (!choice) return "";
+  return cleanText(choice.label || choice.other);
+}
+
+// Separates multiple selections in one cell. cleanText collapses all
+// whitespace, so a newline never appears inside a choice label.
+const CHOICE_SEPARATOR = "\n";
+const RANKING_SEPARATOR = " | ";
+
+/**
+ * Format multiple choices one per line; ranking answers keep their order
+ * as "1. X | 2. Y"
+ */
+function formatChoicesAnswer(choices, fieldType) {
+  if (!choices) return "";
+
+  // Typeform sends { labels, other }; older payloads send a list of choices
+  const labels = Array.isArray(choices)
+    ? choices.map((choice) => choice.label || choice.other || "Unknown")
+    : (choices.labels || []).concat(choices.other ? [choices.other] : []);
+
+  if (fieldType === "ranking") {
+    return labels
+      .map((label, i) => `${i + 1}. ${cleanText(label)}`)
+      .join(RANKING_SEPARATOR);
+  }
+
+  return labels.map((label) => cleanText(label)).join(CHOICE_SEPARATOR);
+}
+
+/**
+ * Turn an uploaded file URL into a link labelled with the file name
+ */
+function formatFileLink(fileUrl) {
+  if (!fileUrl) return "";
+
+  let fileName = fileUrl.split("?")[0].split("/").pop() || "File";
+  try {
+    fileName = decodeURIComponent(fileName);
+  } catch (error) {
+    // A stray "%" in the name is not an escape, so keep it as sent
+  }
+  const escape = (value) => value.replace(/"/g, '""');
+  return `=HYPERLINK("${escape(fileUrl)}", "${escape(fileName)}")`;
+}
+
+/**
+ * Format a payment answer
+ */
+function formatPaymentAnswer(payment) {
+  if (!payment) return "";
+
+  const amount = `${payment.amount} ${payment.currency}`;
+  return payment.success === false ? `${amount} (failed)` : amount;
+}
+
+/**
+ * Format a multi-format (text, audio or video) answer
+ */
+function formatMultiFormatAnswer(multiFormat) {
+  if (!multiFormat) return "";
+
+  if (multiFormat.text) return cleanText(multiFormat.text);
+  if (multiFormat.transcript) return cleanText(multiFormat.transcript);
+
+  const mediaUrl =
+    multiFormat.video_url || multiFormat.audio_url || multiFormat.file_url;
+  return mediaUrl ? formatFileLink(mediaUrl) : "";
+}
+
+/**
+ * Convert a cleaned value to a sheet cell, keeping 0 and false
+ */
+function toCellValue(value) {
+  return value === undefined || value === null ? "" : value;
+}
+
+/**
+ * Clean and standardize text
+ */
+function cleanText(text) {
+  if (!text) return "";
+
+  return text
+    .toString()
+    .trim()
+    .replace(/\s+/g, " ")
+    .replace(/[\r\n]+/g, " | ");
+}
+
+/**
+ * Clean field titles for column headers
+ */
+function cleanFieldTitle(title) {
+  if (!title) return "Unknown Field";
+
+  return title
+    .toString()
+    .trim()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/\s+/g, " ")
+    .substring(0, 100); // Limit length
+}
+
+/**
+ * Parse a Typeform timestamp into a Date so Sheets stores a real date.
+ * Date answers such as "2024-03-01" have no time, so they are read as that
+ * calendar day in the reporting timezone rather than as UTC midnight.
+ */
+function formatDate(dateString) {
+  if (!dateString) return "";
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+    return Utilities.parseDate(
+      dateString,
+      getReportingTimeZone(),
+      "yyyy-MM-dd"
+    );
+  }
+
+  const date = new Date(dateString);
+  return isNaN(date.getTime()) ? dateString : date;
+}
+
+/**
+ * Format a date as ISO 8601 with the offset of the reporting timezone
+ */
+function formatIsoDate(value, timeZone = getReportingTimeZone()) {
+  if (!(value instanceof Date)) return value;
+  return Utilities.formatDate(value, timeZone, "yyyy-MM-dd'T'HH:mm:ssXXX");
+}
+
+/**
+ * Convert a cell value to a Date, including text timestamps written by
+ * earlier versions of the system
+ */
+function toDateValue(value) {
+  if (value instanceof Date || !value) return value;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date;
+}
+
+/**
+ * Get the timezone reports and data sheets are displayed in
+ */
+function getReportingTimeZone() {
+  return (
+    PropertiesService.getScriptProperties().getProperty("REPORTING_TIMEZONE") ||
+    Session.getScriptTimeZone()
+  );
+}
+
+/**
+ * Set the reporting timezone, which data sheets pick up on their next sync
+ */
+function setReportingTimeZone(timeZone) {
+  PropertiesService.getScriptProperties().setProperty(
+    "REPORTING_TIMEZONE",
+    timeZone
+  );
+  SpreadsheetApp.getActiveSpreadsheet().setSpreadsheetTimeZone(timeZone);
+  logActivity("INFO", `Reporting timezone set to ${timeZone}`);
+}
+
+/**
+ * Check that a timezone looks like an IANA name such as Asia/Manila
+ */
+function isValidTimeZone(timeZone) {
+  return /^(UTC|GMT|[A-Za-z]+(\/[A-Za-z0-9_+-]+)+)$/.test(timeZone);
+}
+
+/**
+ * Apply the system date format to every column of a sheet holding dates
+ */
+function formatDateColumns(sheet, data) {
+  const lastRow = sheet.getLastRow();
+  if (!data || data.length === 0 || lastRow < 2) return;
+
+  const dateHeaders = new Set();
+  data.forEach((row) => {
+    Object.keys(row).forEach((header) => {
+      if (row[header] instanceof Date) dateHeaders.add(header);
+    });
+  });
+
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  headers.forEach((header, i) => {
+    if (dateHeaders.has(header)) {
+      sheet
+        .getRange(2, i + 1, lastRow - 1, 1)
+        .setNumberFormat(CONFIG.DATE_FORMAT);
+    }
+  });
+}
+
+// ============================================================================
+// PRIVACY RULES
+// ============================================================================
+
+// Privacy Rules columns, in sheet order
+const PRIVACY_RULES_HEADERS = ["Form ID", "Field", "Action", "Notes"];
+
+const PRIVACY_ACTIONS = ["keep", "drop", "mask", "hash"];
+
+// Pseudonyms created while processing, saved by savePseudonymMapping
+const pendingPseudonyms = new Map();
+
+const PRIVACY_RULES_DEFAULTS = [
+  ["*", "type:email", "hash", "Stable pseudonymous ID across sprints"],
+  ["*", "type:phone_number", "mask", "Keeps the last two digits"],
+];
+
+// Salt for pseudonyms in a dry run before any real sync has created one
+let transientPrivacySalt = null;
+
+/**
+ * Get privacy rules sheet
+ */
+function getPrivacyRulesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.PRIVACY_RULES_SHEET_NAME);
+}
+
+/**
+ * Create privacy rules sheet with defaults that pseudonymise emails and mask
+ * phone numbers for every survey
+ */
+function createPrivacyRulesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.PRIVACY_RULES_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, PRIVACY_RULES_HEADERS.length);
+  headerRange.setValues([PRIVACY_RULES_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#CC0000");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  sheet.setColumnWidth(1, 150); // Form ID
+  sheet.setColumnWidth(2, 250); // Field
+  sheet.setColumnWidth(3, 80); // Action
+  sheet.setColumnWidth(4, 350); // Notes
+
+  sheet
+    .getRange(2, 3, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(PRIVACY_ACTIONS, true)
+        .build()
+    );
+
+  sheet
+    .getRange(2, 1, PRIVACY_RULES_DEFAULTS.length, 4)
+    .setValues(PRIVACY_RULES_DEFAULTS);
+  sheet
+    .getRange(PRIVACY_RULES_DEFAULTS.length + 3, 1)
+    .setValue(
+      'Form ID: a form ID or * for all surveys. Field: a question ref, a column header (e.g. "Hidden - email") or type:<question type>. ' +
+        "Survey-specific rules beat * rules, and exact fields beat type: rules. " +
+        "Run Full Resync Survey after changing rules to rewrite existing rows."
+    )
+    .setFontStyle("italic");
+
+  return sheet;
+}
+
+/**
+ * Open the privacy rules sheet
+ */
+function showPrivacyRulesSheet() {
+  const sheet = getPrivacyRulesSheet() || createPrivacyRulesSheet();
+  SpreadsheetApp.setActiveSheet(sheet);
+}
+
+/**
+ * Read the rules that apply to a survey
+ */
+function getPrivacyRules(formId) {
+  // A dry run applies the defaults a sync would create, without the sheet
+  const sheet =
+    getPrivacyRulesSheet() ||
+    (dryRunInProgress ? null : createPrivacyRulesSheet());
+  const data = sheet
+    ? sheet.getDataRange().getValues()
+    : [PRIVACY_RULES_HEADERS].concat(PRIVACY_RULES_DEFAULTS);
+
+  const rules = [];
+  for (let i = 1; i < data.length; i++) {
+    const ruleFormId = String(data[i][0]).trim();
+    const field = String(data[i][1]).trim().toLowerCase();
+    const action = String(data[i][2]).trim().toLowerCase();
+    if (!field || (ruleFormId !== "*" && ruleFormId !== formId)) continue;
+
+    if (!PRIVACY_ACTIONS.includes(action)) {
+      logActivity(
+        "WARNING",
+        `Ignoring privacy rule on row ${i + 1}: unknown action "${action}"`
+      );
+      continue;
+    }
+
+    rules.push({ specific: ruleFormId !== "*", field, action });
+  }
+
+  return rules;
+}
+
+/**
+ * Pick the most specific rule for a column; without one the value is kept
+ */
+function resolvePrivacyAction(column, rules) {
+  let best = null;
+  let bestRank = -1;
+
+  rules.forEach((rule) => {
+    const match = matchRuleField(column, rule.field);
+    if (!match) return;
+
+    const rank = (rule.specific ? 2 : 0) + (match === "exact" ? 1 : 0);
+    if (rank > bestRank) {
+      best = rule;
+      bestRank = rank;
+    }
+  });
+
+  return best ? best.action : "keep";
+}
+
+/**
+ * Match a rule's Field cell against a column: "exact" for a ref or header,
+ * "type" for type:<question type>, otherwise null
+ */
+function matchRuleField(column, field) {
+  if (
+    field === String(column.ref || "").toLowerCase() ||
+    field === column.header.toLowerCase()
+  ) {
+    return "exact";
+  }
+  return column.type && field === `type:${column.type}` ? "type" : null;
+}
+
+/**
+ * Question columns for a survey's sheets, without dropped fields
+ */
+function buildDataColumns(formId, fields) {
+  const rules = getPrivacyRules(formId);
+  return buildQuestionColumns(fields, getQuestionMap(formId)).filter(
+    (column) => resolvePrivacyAction(column, rules) !== "drop"
+  );
+}
+
+/**
+ * Apply a column's privacy action to a processed row in place
+ */
+function applyPrivacyAction(row, column, rules) {
+  const action = resolvePrivacyAction(column, rules);
+  const value = row[column.header];
+
+  if (action === "drop") {
+    delete row[column.header];
+  } else if (value === "" || value === null || value === undefined) {
+    return;
+  } else if (action === "mask") {
+    row[column.header] = maskValue(value);
+  } else if (action === "hash") {
+    row[column.header] = pseudonymise(value, column.header);
+  }
+}
+
+/**
+ * Hide most of a value while keeping its shape recognisable
+ */
+function maskValue(value) {
+  const text = String(value);
+
+  // Formulas such as file links would leak through their arguments
+  if (text.charAt(0) === "=") return "[masked]";
+
+  const email = text.match(/^(.)[^@]*(@.+)$/);
+  if (email) return `${email[1]}***${email[2]}`;
+
+  // Phone numbers keep their last two digits
+  if (/^[\d\s()+.-]+$/.test(text)) {
+    return text.replace(/\d(?=(?:\D*\d){2})/g, "*");
+  }
+
+  return text.length > 1 ? `${text.charAt(0)}***` : "***";
+}
+
+/**
+ * Turn a value into a stable pseudonymous ID. The same normalised value
+ * always gives the same ID, so a student can be followed across sprints.
+ */
+function pseudonymise(value, field) {
+  const normalised = String(value).trim().toLowerCase();
+  const signature = Utilities.computeHmacSha256Signature(
+    normalised,
+    getPrivacySalt()
+  );
+  const hex = signature
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+  const pseudonym = `${CONFIG.PSEUDONYM_PREFIX}${hex.substring(0, 12)}`;
+
+  if (!pendingPseudonyms.has(pseudonym)) {
+    pendingPseudonyms.set(pseudonym, { value: normalised, field: field });
+  }
+  return pseudonym;
+}
+
+/**
+ * Get the secret salt for pseudonyms, creating it on first use. Changing it
+ * changes every pseudonym.
+ */
+function getPrivacySalt() {
+  const properties = PropertiesService.getScriptProperties();
+  let salt = properties.getProperty("PRIVACY_SALT");
+
+  // A dry run must not store the salt, so its pseudonyms are throwaway
+  if (!salt && dryRunInProgress) {
+    if (!transientPrivacySalt) {
+      transientPrivacySalt = Utilities.getUuid().replace(/-/g, "");
+    }
+    return transientPrivacySalt;
+  }
+
+  if (!salt) {
+    salt = Utilities.getUuid().replace(/-/g, "");
+    properties.setProperty("PRIVACY_SALT", salt);
+    logActivity("INFO", "Generated new privacy salt");
+  }
+
+  return salt;
+}
+
+/**
+ * Append pseudonyms created since the last save to the identified mapping
+ * spreadsheet. Throws so the sync retries rather than losing the mapping.
+ */
+function savePseudonymMapping(formId, surveyTitle) {
+  if (pendingPseudonyms.size === 0) return;
+
+  withScriptLock(() => {
+    const sheet = getIdentifiedSpreadsheet().getSheets()[0];
+    const known = new Set(
+      sheet
+        .getRange(1, 1, Math.max(sheet.getLastRow(), 1), 1)
+        .getValues()
+        .map((row) => row[0])
+    );
+
+    const now = new Date();
+    const rows = [];
+    pendingPseudonyms.forEach((entry, pseudonym) => {
+      if (known.has(pseudonym)) return;
+      rows.push([
+        pseudonym,
+        entry.value,
+        entry.field,
+        formId,
+        surveyTitle,
+        now,
+      ]);
+    });
+
+    if (rows.length > 0) {
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+        .setValues(rows);
+      logActivity(
+        "INFO",
+        `Recorded ${rows.length} new pseudonyms for survey ${formId}`
+      );
+    }
+  });
+
+  pendingPseudonyms.clear();
+}
+
+/**
+ * Open the identified mapping spreadsheet, creating it outside the shared
+ * data folder and sharing it with the programme leads only
+ */
+function getIdentifiedSpreadsheet() {
+  const properties = PropertiesService.getScriptProperties();
+  const spreadsheetId = properties.getProperty("IDENTIFIED_SPREADSHEET_ID");
+
+  if (spreadsheetId) {
+    try {
+      return SpreadsheetApp.openById(spreadsheetId);
+    } catch (error) {
+      throw new Error(
+        `Identified mapping spreadsheet ${spreadsheetId} is not accessible: ${error.toString()}`
+      );
+    }
+  }
+
+  const spreadsheet = SpreadsheetApp.create(CONFIG.IDENTIFIED_SPREADSHEET_NAME);
+  const sheet = spreadsheet.getSheets()[0];
+  sheet.setName("Mapping");
+
+  const headers = [
+    "Pseudonym",
+    "Identified Value",
+    "Field",
+    "Form ID",
+    "Survey",
+    "First Seen",
+  ];
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#CC0000");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  const file = DriveApp.getFileById(spreadsheet.getId());
+  file.setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+  getProgrammeLeads().forEach((email) => file.addEditor(email));
+
+  properties.setProperty("IDENTIFIED_SPREADSHEET_ID", spreadsheet.getId());
+  logActivity(
+    "INFO",
+    `Created identified mapping spreadsheet: ${spreadsheet.getUrl()}`
+  );
+  return spreadsheet;
+}
+
+/**
+ * Get the programme lead emails allowed to see identified data
+ */
+function getProgrammeLeads() {
+  return (
+    PropertiesService.getScriptProperties().getProperty("PROGRAMME_LEADS") || ""
+  )
+    .split(",")
+    .map((email) => email.trim())
+    .filter((email) => email);
+}
+
+/**
+ * Show dialog to set who can open the identified mapping spreadsheet
+ */
+function showIdentifiedAccessDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const leads = getProgrammeLeads();
+
+  const response = ui.prompt(
+    "Identified Data Access",
+    `Programme leads with access: ${
+      leads.join(", ") || "none (script owner only)"
+    }\n\nEnter comma-separated emails of the programme leads who may see identified data:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  try {
+    const newLeads = response
+      .getResponseText()
+      .split(",")
+      .map((email) => email.trim())
+      .filter((email) => email);
+    PropertiesService.getScriptProperties().setProperty(
+      "PROGRAMME_LEADS",
+      newLeads.join(",")
+    );
+
+    // Bring the spreadsheet's editors in line with the new list
+    const spreadsheet = getIdentifiedSpreadsheet();
+    const file = DriveApp.getFileById(spreadsheet.getId());
+    const owner = file.getOwner() ? file.getOwner().getEmail() : "";
+    file.getEditors().forEach((user) => {
+      const email = user.getEmail();
+      if (email !== owner && !newLeads.includes(email)) {
+        file.removeEditor(email);
+      }
+    });
+    file.getViewers().forEach((user) => file.removeViewer(user.getEmail()));
+    newLeads.forEach((email) => file.addEditor(email));
+
+    logActivity(
+      "INFO",
+      `Identified data access set to: ${newLeads.join(", ") || "owner only"}`
+    );
+    ui.alert(
+      "Success",
+      `Identified mapping access updated.\n\n${spreadsheet.getUrl()}`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    logActivity(
+      "ERROR",
+      `Failed to update identified data access: ${error.toString()}`
+    );
+    ui.alert(
+      "Error",
+      `Failed to update access: ${error.toString()}`,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+// ============================================================================
+// VALIDATION RULES
+// ============================================================================
+
+// Validation Rules columns, in sheet order
+const VALIDATION_RULES_HEADERS = ["Form ID", "Field", "Rule", "Value", "Notes"];
+
+const VALIDATION_RULE_TYPES = ["required", "range", "regex", "min_seconds"];
+
+const VALIDATION_RULES_DEFAULTS = [
+  ["*", "response", "required", "", "At least one question answered"],
+  ["*", "response", "min_seconds", 10, "Faster than anyone can read it"],
+];
+
+/**
+ * Get validation rules sheet
+ */
+function getValidationRulesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.VALIDATION_RULES_SHEET_NAME);
+}
+
+/**
+ * Create validation rules sheet with defaults that catch empty and
+ * implausibly fast submissions
+ */
+function createValidationRulesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.VALIDATION_RULES_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, VALIDATION_RULES_HEADERS.length);
+  headerRange.setValues([VALIDATION_RULES_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#E69138");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  sheet.setColumnWidth(1, 150); // Form ID
+  sheet.setColumnWidth(2, 250); // Field
+  sheet.setColumnWidth(3, 100); // Rule
+  sheet.setColumnWidth(4, 200); // Value
+  sheet.setColumnWidth(5, 350); // Notes
+
+  sheet
+    .getRange(2, 3, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(VALIDATION_RULE_TYPES, true)
+        .build()
+    );
+
+  sheet
+    .getRange(2, 1, VALIDATION_RULES_DEFAULTS.length, 5)
+    .setValues(VALIDATION_RULES_DEFAULTS);
+  sheet
+    .getRange(VALIDATION_RULES_DEFAULTS.length + 3, 1)
+    .setValue(
+      "Field: a question ref, a column header, type:<question type>, or response for the whole submission. " +
+        "Rules: required, range (Value like 1-5), regex (Value must match), min_seconds (response only, from landed_at to submitted_at). " +
+        'Failing responses go to each survey\'s "Quarantine" tab instead of "Survey Data".'
+    )
+    .setFontStyle("italic");
+
+  return sheet;
+}
+
+/**
+ * Open the validation rules sheet
+ */
+function showValidationRulesSheet() {
+  const sheet = getValidationRulesSheet() || createValidationRulesSheet();
+  SpreadsheetApp.setActiveSheet(sheet);
+}
+
+/**
+ * Read and compile the validation rules that apply to a survey
+ */
+function getValidationRules(formId) {
+  // A dry run applies the defaults a sync would create, without the sheet
+  const sheet =
+    getValidationRulesSheet() ||
+    (dryRunInProgress ? null : createValidationRulesSheet());
+  const data = sheet
+    ? sheet.getDataRange().getValues()
+    : [VALIDATION_RULES_HEADERS].concat(VALIDATION_RULES_DEFAULTS);
+
+  const rules = [];
+  for (let i = 1; i < data.length; i++) {
+    const ruleFormId = String(data[i][0]).trim();
+    const field = String(data[i][1]).trim().toLowerCase();
+    const type = String(data[i][2]).trim().toLowerCase();
+    const value = String(data[i][3]).trim();
+    if (!field || (ruleFormId !== "*" && ruleFormId !== formId)) continue;
+
+    try {
+      rules.push(compileValidationRule(field, type, value));
+    } catch (error) {
+      logActivity(
+        "WARNING",
+        `Ignoring validation rule on row ${i + 1}: ${error.message}`
+      );
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Parse a rule's Value cell once, so bad rules are reported up front
+ */
+function compileValidationRule(field, type, value) {
+  const rule = { field, type, value };
+
+  switch (type) {
+    case "required":
+      break;
+    case "range": {
+      const match = value.match(/^(-?[\d.]*)\s*-\s*(-?[\d.]*)$/);
+      if (!match || (match[1] === "" && match[2] === "")) {
+        throw new Error(`range "${value}" should look like 1-5`);
+      }
+      rule.min = match[1] === "" ? -Infinity : Number(match[1]);
+      rule.max = match[2] === "" ? Infinity : Number(match[2]);
+      break;
+    }
+    case "regex":
+      rule.pattern = new RegExp(value);
+      break;
+    case "min_seconds":
+      rule.seconds = Number(value);
+      if (field !== "response" || isNaN(rule.seconds)) {
+        throw new Error("min_seconds needs Field response and a number");
+      }
+      break;
+    default:
+      throw new Error(`unknown rule "${type}"`);
+  }
+
+  return rule;
+}
+
+/**
+ * Check a processed row against the survey's rules. Returns the first
+ * failure as {rule, reason}, or null when the response is clean.
+ */
+function validateResponse(row, response, columns, rules) {
+  const isEmpty = (value) =>
+    value === "" || value === null || value === undefined;
+
+  for (const rule of rules) {
+    if (rule.field === "response") {
+      if (
+        rule.type === "required" &&
+        columns
+          .filter((column) => !column.source) // Questions, not extras
+          .every((column) => isEmpty(row[column.header]))
+      ) {
+        return { rule: "required", reason: "No questions answered" };
+      }
+
+      if (rule.type === "min_seconds" && response.landed_at) {
+        const seconds =
+          (new Date(response.submitted_at) - new Date(response.landed_at)) /
+          1000;
+        if (seconds < rule.seconds) {
+          return {
+            rule: "min_seconds",
+            reason: `Completed in ${Math.round(seconds)}s, under ${
+              rule.seconds
+            }s`,
+          };
+        }
+      }
+      continue;
+    }
+
+    for (const column of columns) {
+      if (!matchRuleField(column, rule.field)) continue;
+      const value = row[column.header];
+
+      if (rule.type === "required" && isEmpty(value)) {
+        return { rule: "required", reason: `"${column.header}" is required` };
+      }
+      if (isEmpty(value)) continue;
+
+      if (rule.type === "range") {
+        const number = Number(value);
+        if (isNaN(number) || number < rule.min || number > rule.max) {
+          return {
+            rule: "range",
+            reason: `"${column.header}" is ${value}, outside ${rule.value}`,
+          };
+        }
+      }
+
+      if (rule.type === "regex" && !rule.pattern.test(String(value))) {
+        return {
+          rule: "regex",
+          reason: `"${column.header}" does not match ${rule.value}`,
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Put the failed rule next to the response's identifying columns
+ */
+function buildQuarantineRow(row, failure) {
+  return Object.assign(
+    {
+      "Response ID": row["Response ID"],
+      "Submitted At": row["Submitted At"],
+      "Failed Rule": failure.rule,
+      Reason: failure.reason,
+    },
+    row
+  );
+}
+
+// ============================================================================
+// QUESTION MAP
+// ============================================================================
+
+// Question Map columns, in sheet order
+const QUESTION_MAP_HEADERS = [
+  "Form ID",
+  "Survey",
+  "Field Ref",
+  "Field Title",
+  "Field Type",
+  "Canonical Key",
+  "Canonical Type",
+  "Status",
+  "Match Score",
+];
+
+// Only Mapped rows change columns; the others wait for review
+const QUESTION_MAP_STATUSES = ["Mapped", "Suggested", "Unmapped", "Ignored"];
+
+// Words that carry no meaning when comparing question titles
+const QUESTION_STOPWORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "did",
+  "do",
+  "for",
+  "how",
+  "in",
+  "is",
+  "of",
+  "on",
+  "please",
+  "the",
+  "this",
+  "to",
+  "was",
+  "what",
+  "would",
+  "you",
+  "your",
+]);
+
+/**
+ * Get question map sheet
+ */
+function getQuestionMapSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.QUESTION_MAP_SHEET_NAME);
+}
+
+/**
+ * Create question map sheet
+ */
+function createQuestionMapSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.QUESTION_MAP_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, QUESTION_MAP_HEADERS.length);
+  headerRange.setValues([QUESTION_MAP_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#6AA84F");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  sheet.setColumnWidth(1, 150); // Form ID
+  sheet.setColumnWidth(2, 200); // Survey
+  sheet.setColumnWidth(3, 150); // Field Ref
+  sheet.setColumnWidth(4, 300); // Field Title
+  sheet.setColumnWidth(5, 120); // Field Type
+  sheet.setColumnWidth(6, 200); // Canonical Key
+  sheet.setColumnWidth(7, 120); // Canonical Type
+  sheet.setColumnWidth(8, 100); // Status
+  sheet.setColumnWidth(9, 100); // Match Score
+
+  sheet
+    .getRange(2, 8, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(QUESTION_MAP_STATUSES, true)
+        .build()
+    );
+
+  return sheet;
+}
+
+/**
+ * Read the question map as rows, creating it on first use outside dry runs
+ */
+function readQuestionMap() {
+  const sheet =
+    getQuestionMapSheet() ||
+    (dryRunInProgress ? null : createQuestionMapSheet());
+  if (!sheet) return [];
+
+  const data = sheet.getDataRange().getValues();
+
+  const rows = [];
+  for (let i = 1; i < data.length; i++) {
+    const formId = String(data[i][0]).trim();
+    if (!formId) continue;
+
+    rows.push({
+      formId: formId,
+      survey: String(data[i][1]).trim(),
+      ref: String(data[i][2]).trim(),
+      title: String(data[i][3]).trim(),
+      type: String(data[i][4]).trim(),
+      key: String(data[i][5]).trim(),
+      canonicalType: String(data[i][6]).trim(),
+      status: String(data[i][7]).trim(),
+      rowNumber: i + 1,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Get a survey's mapped questions keyed by field ref
+ */
+function getQuestionMap(formId) {
+  const questionMap = {};
+  readQuestionMap().forEach((row) => {
+    if (row.formId === formId && row.status === "Mapped" && row.key) {
+      questionMap[row.ref] = { key: row.key, type: row.canonicalType };
+    }
+  });
+  return questionMap;
+}
+
+/**
+ * Add questions the map has not seen yet, then suggest canonical keys for
+ * them and for any other unmapped questions they now match
+ */
+function recordQuestions(formId, surveyTitle, fields) {
+  withScriptLock(() => {
+    const known = new Set(
+      readQuestionMap()
+        .filter((row) => row.formId === formId)
+        .map((row) => row.ref)
+    );
+
+    const newRows = buildQuestionColumns(fields)
+      .filter((column) => !known.has(column.ref))
+      .map((column) => [
+        formId,
+        surveyTitle,
+        column.ref,
+        column.title,
+        column.type,
+        "",
+        "",
+        "Unmapped",
+        "",
+      ]);
+    if (newRows.length === 0) return;
+
+    const sheet = getQuestionMapSheet();
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, newRows.length, newRows[0].length)
+      .setValues(newRows);
+
+    const suggested = suggestQuestionMappings();
+    logActivity(
+      "WARNING",
+      `${newRows.length} new questions for survey ${formId} need review in ${CONFIG.QUESTION_MAP_SHEET_NAME} (${suggested} new suggestions)`
+    );
+  });
+}
+
+/**
+ * Re-run suggestions for unmapped questions from the menu, e.g. after
+ * mapping some questions by hand
+ */
+function refreshQuestionSuggestions() {
+  const suggested = withScriptLock(() => suggestQuestionMappings());
+  logActivity("INFO", `Suggested canonical keys for ${suggested} questions`);
+
+  const ui = getUiIfAvailable();
+  if (ui) {
+    ui.alert(
+      "Question Map",
+      suggested > 0
+        ? `${suggested} unmapped questions now have a suggested canonical key. Review them in ${CONFIG.QUESTION_MAP_SHEET_NAME}.`
+        : "No new suggestions found.",
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Suggest a canonical key for every Unmapped question that matches a
+ * question in another survey. Rows are handled in order and each
+ * suggestion is visible to the next, so matching questions end up sharing
+ * one key. Call while holding the script lock. Returns how many questions
+ * got a suggestion.
+ */
+function suggestQuestionMappings() {
+  const sheet = getQuestionMapSheet() || createQuestionMapSheet();
+  const rows = readQuestionMap();
+  let suggested = 0;
+
+  rows.forEach((row) => {
+    if (row.status !== "Unmapped") return;
+
+    const match = suggestCanonicalQuestion(
+      row,
+      buildCanonicalCandidates(rows, row.formId)
+    );
+    if (!match) return;
+
+    row.key = match.key;
+    row.canonicalType = match.type;
+    row.status = "Suggested";
+    sheet
+      .getRange(row.rowNumber, 6, 1, 4)
+      .setValues([[match.key, match.type, "Suggested", match.score]]);
+    suggested++;
+  });
+
+  return suggested;
+}
+
+/**
+ * Collect canonical keys with the titles of other surveys' questions.
+ * Mapped and suggested questions bring their key; unmapped ones offer a
+ * key made from their own title. Keys the survey already uses are left out
+ * so two of its questions never share a column.
+ */
+function buildCanonicalCandidates(rows, formId) {
+  const usedKeys = new Set(
+    rows
+      .filter(
+        (row) =>
+          row.formId === formId &&
+          row.key &&
+          (row.status === "Mapped" || row.status === "Suggested")
+      )
+      .map((row) => row.key)
+  );
+
+  const candidates = {};
+  rows.forEach((row) => {
+    if (row.formId === formId || row.status === "Ignored") return;
+
+    const key = row.status === "Unmapped" ? toCanonicalKey(row.title) : row.key;
+    if (!key || usedKeys.has(key)) return;
+
+    if (!candidates[key]) {
+      candidates[key] = {
+        key: key,
+        type: row.canonicalType || row.type,
+        titles: [key.replace(/_/g, " ")],
+      };
+    }
+    candidates[key].titles.push(row.title);
+  });
+  return Object.keys(candidates).map((key) => candidates[key]);
+}
+
+/**
+ * Make a canonical key such as "instructor_rating" from a question title,
+ * dropping bracketed scale hints like "(1-5)"
+ */
+function toCanonicalKey(title) {
+  return cleanFieldTitle(String(title).replace(/\([^)]*\)/g, " "))
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Find the canonical question whose titles best match a question's title
+ */
+function suggestCanonicalQuestion(column, candidates) {
+  let best = null;
+
+  candidates.forEach((candidate) => {
+    let score = Math.max(
+      ...candidate.titles.map((title) =>
+        compareQuestionTitles(column.title, title)
+      )
+    );
+
+    // A different answer type makes the match less likely
+    if (candidate.type && candidate.type !== column.type) score *= 0.8;
+
+    if (!best || score > best.score) {
+      best = { key: candidate.key, type: candidate.type, score: score };
+    }
+  });
+
+  if (!best || best.score < CONFIG.QUESTION_MATCH_THRESHOLD) return null;
+  best.score = roundStat(best.score);
+  return best;
+}
+
+/**
+ * Score two question titles from 0 to 1 by their shared meaningful words,
+ * so "Rate the instructor" matches "Instructor rating (1-5)"
+ */
+function compareQuestionTitles(a, b) {
+  const wordsA = new Set(questionWords(a));
+  const wordsB = new Set(questionWords(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach((word) => {
+    if (wordsB.has(word)) shared++;
+  });
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Split a title into lower-case word stems, without stopwords, numbers or
+ * bracketed scale hints
+ */
+function questionWords(title) {
+  return String(title)
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word && !QUESTION_STOPWORDS.has(word))
+    .filter((word) => !/^\d+$/.test(word))
+    .map((word) => word.replace(/(ing|ed|es|s|e)$/, "") || word);
+}
+
+/**
+ * List questions waiting for review and open the question map
+ */
+function showQuestionMapReview() {
+  const ui = SpreadsheetApp.getUi();
+  const pending = readQuestionMap().filter(
+    (row) => row.status === "Suggested" || row.status === "Unmapped"
+  );
+
+  SpreadsheetApp.setActiveSheet(
+    getQuestionMapSheet() || createQuestionMapSheet()
+  );
+
+  if (pending.length === 0) {
+    ui.alert(
+      "Question Map",
+      "✅ All questions are mapped or ignored.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const lines = pending
+    .slice(0, 15)
+    .map(
+      (row) =>
+        `• ${row.survey}: ${row.title}${
+          row.status === "Suggested" ? ` → ${row.key}?` : ""
+        }`
+    );
+  if (pending.length > lines.length) {
+    lines.push(`…and ${pending.length - lines.length} more`);
+  }
+
+  ui.alert(
+    "Question Map",
+    `${pending.length} questions need review:\n\n${lines.join("\n")}\n\n` +
+      'Set Status to "Mapped" to use the canonical key as the column, or "Ignored" to keep the survey\'s own title. ' +
+      "Run Full Resync Survey afterwards to rewrite existing sheets.",
+    ui.ButtonSet.OK
+  );
+}
+
+// ============================================================================
+// SURVEY ANALYTICS
+// ============================================================================
+
+// Field types grouped by the statistics computed for them
+const CHOICE_FIELD_TYPES = [
+  "multiple_choice",
+  "dropdown",
+  "picture_choice",
+  "yes_no",
+  "legal",
+];
+const NUMERIC_FIELD_TYPES = ["rating", "opinion_scale", "number"];
+const TEXT_FIELD_TYPES = ["short_text", "long_text"];
+const TOP_TEXT_ANSWERS = 5;
+
+/**
+ * Rebuild the Summary tab of a data spreadsheet from its Survey Data tab
+ */
+function updateSummarySheet(spreadsheet, columns) {
+  try {
+    const { rows } = readSheetRows(getDataSheet(spreadsheet));
+
+    const summaryRows = [];
+    columns.forEach((column) => {
+      const values = rows.map((row) => row[column.header]);
+      const stats = computeQuestionStats(column, values);
+
+      stats.statistics.forEach((statistic) => {
+        summaryRows.push([
+          column.header,
+          column.type,
+          stats.answered,
+          stats.completionRate,
+          statistic.name,
+          statistic.value,
+          statistic.percent === undefined ? "" : statistic.percent,
+        ]);
+      });
+    });
+
+    let sheet = spreadsheet.getSheetByName(CONFIG.SUMMARY_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(CONFIG.SUMMARY_SHEET_NAME);
+    } else {
+      sheet.clear();
+    }
+
+    const headers = [
+      "Question",
+      "Type",
+      "Answered",
+      "Completion Rate",
+      "Statistic",
+      "Value",
+      "Percent",
+    ];
+    const headerRange = sheet.getRange(1, 1, 1, headers.length);
+    headerRange.setValues([headers]);
+    headerRange.setFontWeight("bold");
+    headerRange.setBackground("#FF9900");
+    headerRange.setFontColor("white");
+
+    if (summaryRows.length > 0) {
+      sheet
+        .getRange(2, 1, summaryRows.length, headers.length)
+        .setValues(summaryRows);
+      sheet.getRange(2, 4, summaryRows.length, 1).setNumberFormat("0.0%");
+      sheet.getRange(2, 7, summaryRows.length, 1).setNumberFormat("0.0%");
+    }
+
+    sheet.autoResizeColumns(1, headers.length);
+  } catch (error) {
+    // A broken summary should never fail the sync itself
+    logActivity(
+      "WARNING",
+      `Error updating summary for ${spreadsheet.getName()}: ${error.toString()}`
+    );
+  }
+}
+
+/**
+ * Compute completion and type-specific statistics for one question
+ */
+function computeQuestionStats(column, values) {
+  const answers = values.filter(
+    (value) => value !== "" && value !== null && value !== undefined
+  );
+  const result = {
+    answered: answers.length,
+    completionRate: values.length > 0 ? answers.length / values.length : 0,
+    statistics: [],
+  };
+
+  if (column.type === "nps") {
+    result.statistics = computeNpsStats(answers.map(Number));
+  } else if (NUMERIC_FIELD_TYPES.includes(column.type)) {
+    result.statistics = computeNumericStats(answers.map(Number));
+  } else if (CHOICE_FIELD_TYPES.includes(column.type)) {
+    const labels = [].concat(
+      ...answers.map((answer) => String(answer).split(CHOICE_SEPARATOR))
+    );
+    result.statistics = computeDistribution(labels, answers.length, "Choice");
+  } else if (column.type === "ranking") {
+    const firstChoices = answers.map((answer) =>
+      String(answer).split(RANKING_SEPARATOR)[0].replace(/^1\. /, "")
+    );
+    result.statistics = computeDistribution(
+      firstChoices,
+      answers.length,
+      "Ranked First"
+    );
+  } else if (TEXT_FIELD_TYPES.includes(column.type)) {
+    result.statistics = computeDistribution(
+      answers.map((answer) => String(answer).trim().toLowerCase()),
+      answers.length,
+      "Top Answer"
+    )
+      .filter((statistic) => statistic.value > 1)
+      .slice(0, TOP_TEXT_ANSWERS);
+  }
+
+  // Every question gets at least one row so it shows up in the summary
+  if (result.statistics.length === 0) {
+    result.statistics.push({ name: "Responses", value: answers.length });
+  }
+
+  return result;
+}
+
+/**
+ * Mean, median and standard deviation of numeric answers
+ */
+function computeNumericStats(numbers) {
+  const valid = numbers.filter((number) => !isNaN(number));
+  if (valid.length === 0) return [];
+
+  const sorted = valid.slice().sort((a, b) => a - b);
+  const mean = valid.reduce((sum, number) => sum + number, 0) / valid.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median =
+    sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  const variance =
+    valid.length > 1
+      ? valid.reduce((sum, number) => sum + Math.pow(number - mean, 2), 0) /
+        (valid.length - 1)
+      : 0;
+
+  return [
+    { name: "Mean", value: roundStat(mean) },
+    { name: "Median", value: median },
+    { name: "Std Dev", value: roundStat(Math.sqrt(variance)) },
+  ];
+}
+
+/**
+ * Net Promoter Score breakdown plus the numeric statistics
+ */
+function computeNpsStats(scores) {
+  const valid = scores.filter((score) => !isNaN(score));
+  if (valid.length === 0) return [];
+
+  const promoters = valid.filter((score) => score >= 9).length;
+  const passives = valid.filter((score) => score >= 7 && score <= 8).length;
+  const detractors = valid.filter((score) => score <= 6).length;
+
+  return [
+    {
+      name: "NPS",
+      value: Math.round(((promoters - detractors) / valid.length) * 100),
+    },
+    {
+      name: "Promoters",
+      value: promoters,
+      percent: promoters / valid.length,
+    },
+    { name: "Passives", value: passives, percent: passives / valid.length },
+    {
+      name: "Detractors",
+      value: detractors,
+      percent: detractors / valid.length,
+    },
+  ].concat(computeNumericStats(valid));
+}
+
+/**
+ * Count occurrences of each value, most frequent first
+ */
+function computeDistribution(values, total, label) {
+  const counts = {};
+  values.forEach((value) => {
+    if (value === "") return;
+    counts[value] = (counts[value] || 0) + 1;
+  });
+
+  return Object.keys(counts)
+    .sort((a, b) => counts[b] - counts[a])
+    .map((value) => ({
+      name: `${label}: ${value}`,
+      value: counts[value],
+      percent: total > 0 ? counts[value] / total : 0,
+    }));
+}
+
+/**
+ * Round a statistic to two decimal places
+ */
+function roundStat(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// GOOGLE SHEETS MANAGEMENT
+// ============================================================================
+
+/**
+ * Get or create mega database sheet
+ */
+function getMegaSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.MEGA_SHEET_NAME);
+}
+
+// Master Database columns, in sheet order
+const MEGA_SHEET_HEADERS = [
+  "Sprint Name",
+  "Form ID",
+  "Source Sheet Link",
+  "Response Count",
+  "Date Created",
+  "Last Updated",
+  "Processing Status",
+  "Action",
+  "Quarantined",
+  "Unique Respondents",
+  "Latest Export",
+];
+
+// Choices in the Master Database Action column, run by handleMegaActionEdit
+const MEGA_ACTIONS = ["Update", "Full Resync", "Export", "Archive", "Pause"];
+
+/**
+ * Write the Master Database header row
+ */
+function writeMegaSheetHeaders(sheet) {
+  const headerRange = sheet.getRange(1, 1, 1, MEGA_SHEET_HEADERS.length);
+  headerRange.setValues([MEGA_SHEET_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#4285F4");
+  headerRange.setFontColor("white");
+}
+
+/**
+ * Create mega database sheet
+ */
+function createMegaSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.MEGA_SHEET_NAME);
+
+  // Set up headers
+  writeMegaSheetHeaders(sheet);
+
+  // Format columns
+  sheet.setColumnWidth(1, 200); // Sprint Name
+  sheet.setColumnWidth(2, 150); // Form ID
+  sheet.setColumnWidth(3, 300); // Source Sheet Link
+  sheet.setColumnWidth(4, 120); // Response Count
+  sheet.setColumnWidth(5, 150); // Date Created
+  sheet.setColumnWidth(6, 150); // Last Updated
+  sheet.setColumnWidth(7, 120); // Processing Status
+  sheet.setColumnWidth(8, 100); // Action
+  sheet.setColumnWidth(9, 100); // Quarantined
+  sheet.setColumnWidth(10, 140); // Unique Respondents
+  sheet.setColumnWidth(11, 150); // Latest Export
+
+  applyMegaActionDropdown(sheet);
+
+  return sheet;
+}
+
+/**
+ * Get or create log sheet
+ */
+function getLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.LOG_SHEET_NAME);
+}
+
+/**
+ * Create log sheet
+ */
+function createLogSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.LOG_SHEET_NAME);
+
+  writeLogHeaders(sheet);
+
+  sheet.setColumnWidth(1, 180);
+  sheet.setColumnWidth(2, 80);
+  sheet.setColumnWidth(3, 500);
+  sheet.setColumnWidth(4, 90); // Run ID
+  sheet.setColumnWidth(5, 150); // Form ID
+  sheet.setColumnWidth(6, 100); // Duration
+  sheet.setColumnWidth(7, 300); // Context
+  sheet.getRange("A:A").setNumberFormat(CONFIG.DATE_FORMAT);
+
+  return sheet;
+}
+
+/**
+ * Find an existing data spreadsheet for a sprint, or null
+ */
+function findDataSpreadsheet(sprintName) {
+  // Looking up never creates the folder, so dry runs leave Drive untouched
+  const folders = DriveApp.getFoldersByName(CONFIG.FOLDER_NAME);
+  if (!folders.hasNext()) return null;
+
+  const files = folders.next().getFilesByName(`${sprintName}_Data`);
+
+  return files.hasNext() ? SpreadsheetApp.openById(files.next().getId()) : null;
+}
+
+/**
+ * Get the response data tab of a data spreadsheet
+ */
+function getDataSheet(spreadsheet) {
+  const sheet =
+    spreadsheet.getSheetByName(CONFIG.DATA_SHEET_NAME) ||
+    spreadsheet.getSheets()[0];
+  sheet.setName(CONFIG.DATA_SHEET_NAME);
+  return sheet;
+}
+
+/**
+ * Create or update individual data sheet.
+ * With options.incremental the rows are upserted by "Response ID" instead of
+ * rebuilding the sheet from scratch.
+ */
+function createOrUpdateDataSheet(sprintName, data, formId, options = {}) {
+  try {
+    const folder = getOrCreateDataFolder();
+    const fileName = `${sprintName}_Data`;
+
+    // Check if spreadsheet already exists
+    let spreadsheet = findDataSpreadsheet(sprintName);
+    const incremental = options.incremental === true && spreadsheet !== null;
+
+    if (!spreadsheet) {
+      // Create new spreadsheet
+      spreadsheet = SpreadsheetApp.create(fileName);
+      const file = DriveApp.getFileById(spreadsheet.getId());
+      folder.addFile(file);
+      DriveApp.getRootFolder().removeFile(file);
+    }
+
+    spreadsheet.setSpreadsheetTimeZone(getReportingTimeZone());
+    const sheet = getDataSheet(spreadsheet);
+    let result;
+
+    if (incremental) {
+      result = upsertDataRows(sheet, data);
+    } else {
+      sheet.clear();
+      writeDataRows(sheet, data);
+      result = {
+        added: data.length,
+        updated: 0,
+        addedIds: data.map((row) => row["Response ID"]),
+      };
+    }
+
+    const duplicates = applyDuplicatePolicy(
+      spreadsheet,
+      sheet,
+      formId,
+      options.columns,
+      incremental
+    );
+    formatDateColumns(sheet, data);
+
+    // Response Count stays the raw number of submissions kept anywhere
+    const totalRows =
+      Math.max(sheet.getLastRow() - 1, 0) + duplicates.removedTotal;
+    const quarantined = writeQuarantineRows(
+      spreadsheet,
+      options.quarantine || [],
+      data,
+      incremental
+    );
+
+    // Add metadata sheet
+    addMetadataSheet(spreadsheet, formId, totalRows, options.syncCursor);
+
+    // Recompute per-question statistics over the whole sheet
+    if (options.columns) {
+      updateSummarySheet(spreadsheet, options.columns);
+    }
+
+    return {
+      url: spreadsheet.getUrl(),
+      totalRows,
+      added: result.added,
+      updated: result.updated,
+      addedIds: result.addedIds,
+      quarantined,
+      uniqueRespondents: duplicates.uniqueRespondents,
+      removedIds: duplicates.removedIds,
+    };
+  } catch (error) {
+    logActivity(
+      "ERROR",
+      `Error creating data sheet for ${sprintName}: ${error.toString()}`
+    );
+    throw error;
+  }
+}
+
+/**
+ * Read a sheet with a header row into an array of row objects
+ */
+function readSheetRows(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow === 0 || lastColumn === 0) return { headers: [], rows: [] };
+
+  const values = sheet.getRange(1, 1, lastRow, lastColumn).getValues();
+  const headers = values[0];
+  const rows = values.slice(1).map((rowValues) => {
+    const row = {};
+    headers.forEach((header, i) => {
+      if (header !== "") row[header] = rowValues[i];
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Write quarantined responses to the survey's Quarantine tab. Responses in
+ * this batch replace their earlier entries, so a response that now passes
+ * leaves the tab. Returns the number of quarantined rows.
+ */
+function writeQuarantineRows(spreadsheet, quarantine, data, incremental) {
+  let sheet = spreadsheet.getSheetByName(CONFIG.QUARANTINE_SHEET_NAME);
+  if (!sheet && quarantine.length === 0) return 0;
+
+  const batchIds = new Set(
+    data.concat(quarantine).map((row) => row["Response ID"])
+  );
+  const existing = sheet && incremental ? readSheetRows(sheet).rows : [];
+  const kept = existing.filter((row) => !batchIds.has(row["Response ID"]));
+  const rows = kept.concat(quarantine);
+
+  // Nothing in this batch touches the tab
+  const unchanged = quarantine.length === 0 && kept.length === existing.length;
+  if (sheet && incremental && unchanged) return existing.length;
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(CONFIG.QUARANTINE_SHEET_NAME);
+  }
+  sheet.clear();
+  writeDataRows(sheet, rows);
+  formatDateColumns(sheet, rows);
+
+  return rows.length;
+}
+
+/**
+ * Apply the survey's duplicate policy to the whole data sheet, so full
+ * rebuilds and incremental appends end in the same state. Duplicates that
+ * are not kept move to a Duplicates tab. Returns the removed response IDs,
+ * the total on the Duplicates tab and the number of unique respondents.
+ */
+function applyDuplicatePolicy(
+  spreadsheet,
+  sheet,
+  formId,
+  columns,
+  incremental
+) {
+  const result = { removedIds: [], removedTotal: 0, uniqueRespondents: "" };
+  let duplicatesSheet = spreadsheet.getSheetByName(
+    CONFIG.DUPLICATES_SHEET_NAME
+  );
+
+  // A rebuilt data sheet holds every submission again
+  if (duplicatesSheet && !incremental) duplicatesSheet.clear();
+  const countRemoved = () =>
+    duplicatesSheet ? Math.max(duplicatesSheet.getLastRow() - 1, 0) : 0;
+  result.removedTotal = countRemoved();
+
+  const survey = findRegisteredSurvey(formId);
+  if (!survey || !survey.identity || survey.duplicatePolicy === "Off") {
+    return result;
+  }
+
+  const { headers, rows } = readSheetRows(sheet);
+  const identityHeader = resolveIdentityHeader(
+    survey.identity,
+    headers,
+    columns
+  );
+  if (!identityHeader) {
+    logActivity(
+      "WARNING",
+      `Identity field "${survey.identity}" not found for survey ${formId}, skipping duplicate check`
+    );
+    return result;
+  }
+
+  // Group submissions by respondent; rows without an identity stand alone
+  const groups = {};
+  let anonymous = 0;
+  rows.forEach((row, i) => {
+    const identity = String(row[identityHeader]).trim().toLowerCase();
+    if (!identity) {
+      anonymous++;
+      return;
+    }
+    (groups[identity] = groups[identity] || []).push({ row, rowNumber: i + 2 });
+  });
+  const identities = Object.keys(groups);
+  result.uniqueRespondents = identities.length + anonymous;
+
+  if (survey.duplicatePolicy === "Flag Both") {
+    let column = headers.indexOf("Duplicate") + 1;
+    if (column === 0) {
+      column = headers.length + 1;
+      writeDataHeaders(sheet, headers.concat("Duplicate"));
+    }
+
+    const flags = rows.map((row) => [""]);
+    identities.forEach((identity) => {
+      const group = groups[identity];
+      if (group.length < 2) return;
+      group.forEach((entry) => {
+        flags[entry.rowNumber - 2] = [`Yes (${group.length} submissions)`];
+      });
+    });
+    if (flags.length > 0) {
+      sheet.getRange(2, column, flags.length, 1).setValues(flags);
+    }
+  } else {
+    const keepLatest = survey.duplicatePolicy !== "Keep First";
+    const removed = [];
+    const removedRowNumbers = [];
+    identities.forEach((identity) => {
+      const group = groups[identity];
+      if (group.length < 2) return;
+
+      group.sort(
+        (a, b) =>
+          toDateValue(a.row["Submitted At"]) -
+          toDateValue(b.row["Submitted At"])
+      );
+      const keeper = keepLatest ? group[group.length - 1] : group[0];
+      group.forEach((entry) => {
+        if (entry === keeper) return;
+        removed.push(
+          Object.assign(
+            {
+              "Response ID": entry.row["Response ID"],
+              "Duplicate Of": keeper.row["Response ID"],
+              Policy: survey.duplicatePolicy,
+            },
+            entry.row
+          )
+        );
+        result.removedIds.push(entry.row["Response ID"]);
+        removedRowNumbers.push(entry.rowNumber);
+      });
+    });
+
+    // Delete from the bottom up so row numbers stay valid
+    removedRowNumbers
+      .sort((a, b) => b - a)
+      .forEach((rowNumber) => sheet.deleteRow(rowNumber));
+
+    if (removed.length > 0) {
+      if (!duplicatesSheet) {
+        duplicatesSheet = spreadsheet.insertSheet(CONFIG.DUPLICATES_SHEET_NAME);
+      }
+      const removedIds = new Set(result.removedIds);
+      const earlier = readSheetRows(duplicatesSheet).rows.filter(
+        (row) => !removedIds.has(row["Response ID"])
+      );
+      const allRemoved = earlier.concat(removed);
+      duplicatesSheet.clear();
+      writeDataRows(duplicatesSheet, allRemoved);
+      formatDateColumns(duplicatesSheet, allRemoved);
+
+      logActivity(
+        "INFO",
+        `Moved ${removed.length} duplicate responses for survey ${formId} (${survey.duplicatePolicy})`
+      );
+    }
+  }
+
+  result.removedTotal = countRemoved();
+  return result;
+}
+
+/**
+ * Map a registry Identity Field (ref, header, type:<question type> or hidden
+ * field name) to a data sheet header
+ */
+function resolveIdentityHeader(identity, headers, columns) {
+  const field = identity.toLowerCase();
+  const column = (columns || []).find((candidate) =>
+    matchRuleField(candidate, field)
+  );
+  if (column && headers.includes(column.header)) return column.header;
+
+  return (
+    headers.find((header) => {
+      const name = String(header).toLowerCase();
+      return name === field || name === `hidden - ${field}`;
+    }) || null
+  );
+}
+
+/**
+ * Collect column headers in the order they first appear in the data
+ */
+function collectDataHeaders(data, headers = []) {
+  const allHeaders = new Set(headers);
+  data.forEach((row) => {
+    Object.keys(row).forEach((key) => allHeaders.add(key));
+  });
+  return Array.from(allHeaders);
+}
+
+/**
+ * Write and format the header row of a data sheet
+ */
+function writeDataHeaders(sheet, headers) {
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#FF9900");
+  headerRange.setFontColor("white");
+}
+
+/**
+ * Write a full set of rows to an empty data sheet
+ */
+function writeDataRows(sheet, data) {
+  if (!data || data.length === 0) return;
+
+  const headers = collectDataHeaders(data);
+  writeDataHeaders(sheet, headers);
+
+  // Add data rows
+  const rows = data.map((row) =>
+    headers.map((header) => toCellValue(row[header]))
+  );
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+
+  // Auto-resize columns
+  sheet.autoResizeColumns(1, headers.length);
+}
+
+/**
+ * Update rows whose "Response ID" already exists and append the rest.
+ * A row fetched again without changes, e.g. one a webhook already stored,
+ * is left alone and not counted as updated.
+ */
+function upsertDataRows(sheet, data) {
+  const result = { added: 0, updated: 0, addedIds: [] };
+  if (!data || data.length === 0) return result;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    writeDataRows(sheet, data);
+    result.added = data.length;
+    result.addedIds = data.map((row) => row["Response ID"]);
+    return result;
+  }
+
+  const lastColumn = sheet.getLastColumn();
+  const range = sheet.getRange(1, 1, lastRow, lastColumn);
+  const values = range.getValues();
+  const existingHeaders = values[0].filter((header) => header !== "");
+
+  // Columns follow the form order, with retired questions kept at the end
+  const dataHeaders = collectDataHeaders(data);
+  const headers = dataHeaders.concat(
+    existingHeaders.filter((header) => !dataHeaders.includes(header))
+  );
+
+  if (headers.join("\u0000") !== existingHeaders.join("\u0000")) {
+    return rebuildDataRows(sheet, values, data, headers);
+  }
+
+  const idColumn = headers.indexOf("Response ID");
+  const indexColumn = headers.indexOf("Response Index");
+  // File links are formulas, so compare those cells by formula
+  const formulas = range.getFormulas();
+  const existingRows = {};
+  values.slice(1).forEach((rowValues, i) => {
+    existingRows[rowValues[idColumn]] = {
+      rowNumber: i + 2,
+      index: rowValues[indexColumn],
+      cells: rowValues.map((value, j) => formulas[i + 1][j] || value),
+    };
+  });
+
+  const appended = [];
+  data.forEach((row) => {
+    const existing = existingRows[row["Response ID"]];
+
+    if (existing) {
+      // Keep the index the row was originally given
+      const updatedRow = Object.assign({}, row, {
+        "Response Index": existing.index,
+      });
+      const cells = headers.map((header) => toCellValue(updatedRow[header]));
+      if (sameCellValues(cells, existing.cells)) return;
+
+      sheet
+        .getRange(existing.rowNumber, 1, 1, headers.length)
+        .setValues([cells]);
+      result.updated++;
+    } else {
+      const newRow = Object.assign({}, row, {
+        "Response Index": lastRow + appended.length,
+      });
+      appended.push(headers.map((header) => toCellValue(newRow[header])));
+      result.added++;
+      result.addedIds.push(row["Response ID"]);
+    }
+  });
+
+  if (appended.length > 0) {
+    sheet
+      .getRange(lastRow + 1, 1, appended.length, headers.length)
+      .setValues(appended);
+  }
+
+  return result;
+}
+
+/**
+ * Whether new cell values match the ones a sheet row already holds
+ */
+function sameCellValues(cells, existingCells) {
+  return cells.every((value, i) => {
+    const existing = existingCells[i];
+    if (value instanceof Date && existing instanceof Date) {
+      return value.getTime() === existing.getTime();
+    }
+    return String(value) === String(toCellValue(existing));
+  });
+}
+
+/**
+ * Merge new rows into existing sheet values and rewrite the sheet, used when
+ * the form's column layout has changed since the last sync
+ */
+function rebuildDataRows(sheet, values, data, headers) {
+  const result = { added: 0, updated: 0, addedIds: [] };
+  const existingHeaders = values[0];
+  const rowsById = {};
+  const order = [];
+
+  values.slice(1).forEach((rowValues) => {
+    const row = {};
+    existingHeaders.forEach((header, i) => {
+      if (header !== "") row[header] = rowValues[i];
+    });
+    rowsById[row["Response ID"]] = row;
+    order.push(row["Response ID"]);
+  });
+
+  data.forEach((row) => {
+    const existing = rowsById[row["Response ID"]];
+    if (existing) {
+      rowsById[row["Response ID"]] = Object.assign({}, existing, row, {
+        "Response Index": existing["Response Index"],
+      });
+      result.updated++;
+    } else {
+      rowsById[row["Response ID"]] = Object.assign({}, row, {
+        "Response Index": order.length + 1,
+      });
+      order.push(row["Response ID"]);
+      result.added++;
+      result.addedIds.push(row["Response ID"]);
+    }
+  });
+
+  const merged = order.map((id) => rowsById[id]);
+
+  sheet.clear();
+  writeDataHeaders(sheet, headers);
+  sheet
+    .getRange(2, 1, merged.length, headers.length)
+    .setValues(
+      merged.map((row) => headers.map((header) => toCellValue(row[header])))
+    );
+  sheet.autoResizeColumns(1, headers.length);
+
+  logActivity(
+    "INFO",
+    `Column layout changed, rewrote ${merged.length} rows in ${sheet.getName()}`
+  );
+  return result;
+}
+
+/**
+ * Add metadata sheet to data spreadsheet
+ */
+function addMetadataSheet(spreadsheet, formId, responseCount, syncCursor) {
+  let metaSheet = spreadsheet.getSheetByName("Metadata");
+
+  if (!metaSheet) {
+    metaSheet = spreadsheet.insertSheet("Metadata");
+  } else {
+    metaSheet.clear();
+  }
+
+  const metadata = [
+    ["Property", "Value"],
+    ["Form ID", formId],
+    ["Response Count", responseCount],
+    ["Last Updated", new Date()],
+    ["Last Synced Submission", syncCursor ? syncCursor.submittedAt : ""],
+    ["Processed By", "Typeform Automation System"],
+  ];
+
+  metaSheet.getRange(1, 1, metadata.length, 2).setValues(metadata);
+  metaSheet.getRange(4, 2).setNumberFormat(CONFIG.DATE_FORMAT);
+  metaSheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+  metaSheet.autoResizeColumns(1, 2);
+}
+
+/**
+ * Get or create data folder
+ */
+function getOrCreateDataFolder() {
+  const folders = DriveApp.getFoldersByName(CONFIG.FOLDER_NAME);
+
+  if (folders.hasNext()) {
+    return folders.next();
+  } else {
+    return DriveApp.createFolder(CONFIG.FOLDER_NAME);
+  }
+}
+
+/**
+ * Create data folder (for initialization)
+ */
+function createDataFolder() {
+  return getOrCreateDataFolder();
+}
+
+/**
+ * Update mega database with survey information
+ */
+function updateMegaDatabase(
+  sprintName,
+  formId,
+  sheetUrl,
+  responseCount,
+  counts = {}
+) {
+  withScriptLock(() =>
+    writeMegaDatabaseRow(sprintName, formId, sheetUrl, responseCount, counts)
+  );
+}
+
+/**
+ * Find or append a survey's Master Database row and write it
+ */
+function writeMegaDatabaseRow(
+  sprintName,
+  formId,
+  sheetUrl,
+  responseCount,
+  counts = {}
+) {
+  const sheet = getMegaSheet();
+  if (!sheet) throw new Error("Mega database sheet not found");
+
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0];
+
+  // Sheets created before a column was added only lack its header
+  if (MEGA_SHEET_HEADERS.some((header, i) => headers[i] !== header)) {
+    writeMegaSheetHeaders(sheet);
+  }
+
+  // Find existing row or create new one
+  let rowIndex = -1;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][1] === formId) {
+      // Form ID column
+      rowIndex = i;
+      break;
+    }
+  }
+
+  const now = new Date();
+  const rowData = [
+    sprintName,
+    formId,
+    sheetUrl,
+    responseCount,
+    rowIndex === -1 ? now : toDateValue(data[rowIndex][4]), // Keep original creation date
+    now,
+    "Complete",
+    "", // Action dropdown, idle until someone picks an action
+    // Keep the last known counts when the caller did not compute them
+    keepMegaCount(counts.quarantined, data[rowIndex], 8, 0),
+    keepMegaCount(counts.uniqueRespondents, data[rowIndex], 9, ""),
+  ];
+
+  if (rowIndex === -1) {
+    // Add new row
+    sheet.appendRow(rowData);
+    rowIndex = sheet.getLastRow();
+  } else {
+    // Update existing row
+    sheet.getRange(rowIndex + 1, 1, 1, rowData.length).setValues([rowData]);
+  }
+
+  // Format the new/updated row
+  formatMegaSheetRow(sheet, rowIndex + 1);
+}
+
+// All Responses columns, in sheet order
+const ALL_RESPONSES_HEADERS = [
+  "Form ID",
+  "Survey",
+  "Sprint",
+  "Response ID",
+  "Submitted At",
+  "Question Ref",
+  "Question Title",
+  "Answer",
+  "Numeric Value",
+  "Question Key",
+];
+
+/**
+ * Get all responses sheet
+ */
+function getAllResponsesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.ALL_RESPONSES_SHEET_NAME);
+}
+
+/**
+ * Create all responses sheet
+ */
+function createAllResponsesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.ALL_RESPONSES_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, ALL_RESPONSES_HEADERS.length);
+  headerRange.setValues([ALL_RESPONSES_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#4285F4");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+  sheet.getRange("E:E").setNumberFormat(CONFIG.DATE_FORMAT);
+
+  return sheet;
+}
+
+/**
+ * Replace a survey's rows in the long-format All Responses table.
+ * Incremental runs only replace the responses in the batch; a full sync
+ * (options.replaceAll) replaces every row for the form.
+ */
+function updateAllResponsesSheet(
+  formId,
+  surveyName,
+  data,
+  columns,
+  options = {}
+) {
+  // Other surveys may be rewriting the shared table at the same time
+  withScriptLock(() =>
+    writeAllResponsesRows(formId, surveyName, data, columns, options)
+  );
+}
+
+/**
+ * Replace a survey's rows in All Responses while holding the script lock
+ */
+function writeAllResponsesRows(formId, surveyName, data, columns, options) {
+  const sheet = getAllResponsesSheet() || createAllResponsesSheet();
+
+  // Tables created before a column was added only lack its header
+  const width = ALL_RESPONSES_HEADERS.length;
+  if (
+    sheet.getRange(1, width).getValue() !== ALL_RESPONSES_HEADERS[width - 1]
+  ) {
+    sheet.getRange(1, 1, 1, width).setValues([ALL_RESPONSES_HEADERS]);
+  }
+  const survey = findRegisteredSurvey(formId);
+  const sprint = survey && survey.sprint ? survey.sprint : surveyName;
+
+  // Duplicates removed from the data sheet leave this table too
+  const removedIds = new Set(options.removedIds || []);
+  const newRows = buildLongFormatRows(
+    formId,
+    surveyName,
+    sprint,
+    data.filter((row) => !removedIds.has(row["Response ID"])),
+    columns
+  );
+
+  const lastRow = sheet.getLastRow();
+  const responseIds = new Set(
+    data.map((row) => row["Response ID"]).concat(Array.from(removedIds))
+  );
+
+  let existingRows = [];
+  if (lastRow > 1) {
+    existingRows = sheet.getRange(2, 1, lastRow - 1, width).getValues();
+  }
+
+  const keptRows = existingRows.filter(
+    (row) =>
+      row[0] !== formId || (!options.replaceAll && !responseIds.has(row[3]))
+  );
+
+  if (keptRows.length === existingRows.length) {
+    // Nothing replaced, so new rows can simply be appended
+    if (newRows.length > 0) {
+      sheet.getRange(lastRow + 1, 1, newRows.length, width).setValues(newRows);
+    }
+  } else {
+    const rows = keptRows.concat(newRows);
+    sheet.getRange(2, 1, lastRow - 1, width).clearContent();
+    if (rows.length > 0) {
+      sheet.getRange(2, 1, rows.length, width).setValues(rows);
+    }
+  }
+
+  logActivity(
+    "DEBUG",
+    `All Responses updated for ${formId}: ${newRows.length} answers written`
+  );
+}
+
+/**
+ * Turn cleaned rows into one row per answered question
+ */
+function buildLongFormatRows(formId, surveyName, sprint, data, columns) {
+  const rows = [];
+
+  data.forEach((row) => {
+    columns.forEach((column) => {
+      let answer = row[column.header];
+      if (answer === "" || answer === undefined || answer === null) return;
+
+      // All Responses holds plain values, so a file link keeps just its URL
+      const link = String(answer).match(/^=HYPERLINK\("((?:[^"]|"")*)"/i);
+      if (link) answer = link[1].replace(/""/g, '"');
+
+      rows.push([
+        formId,
+        surveyName,
+        sprint,
+        row["Response ID"],
+        row["Submitted At"],
+        column.ref,
+        column.title,
+        answer,
+        toNumericValue(answer, column.type),
+        column.canonicalKey || "",
+      ]);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Numeric form of an answer for pivots, or "" when it has none
+ */
+function toNumericValue(answer, fieldType) {
+  if (typeof answer === "number") return answer;
+  if (fieldType === "yes_no" || fieldType === "legal") {
+    if (answer === "Yes") return 1;
+    if (answer === "No") return 0;
+  }
+  return "";
+}
+
+/**
+ * Use a new count, or the row's current value when there is none
+ */
+function keepMegaCount(value, existingRow, column, fallback) {
+  if (value !== undefined) return value;
+  return existingRow && existingRow[column] !== ""
+    ? existingRow[column]
+    : fallback;
+}
+
+/**
+ * Format mega sheet row
+ */
+function formatMegaSheetRow(sheet, rowNum) {
+  const range = sheet.getRange(rowNum, 1, 1, 8);
+
+  // Date Created and Last Updated
+  sheet.getRange(rowNum, 5, 1, 2).setNumberFormat(CONFIG.DATE_FORMAT);
+
+  // Status color coding
+  const statusCell = sheet.getRange(rowNum, 7);
+  const status = statusCell.getValue();
+
+  switch (status) {
+    case "Complete":
+      statusCell.setBackground("#D9EAD3");
+      break;
+    case "In Progress":
+      statusCell.setBackground("#FFF2CC");
+      break;
+    case "Failed":
+      statusCell.setBackground("#F4CCCC");
+      break;
+    case "Queued":
+      statusCell.setBackground("#CFE2F3");
+      break;
+    case "Cancelled":
+    case "Archived":
+      statusCell.setBackground("#EFEFEF");
+      break;
+    case "Paused":
+      statusCell.setBackground("#FCE5CD");
+      break;
+  }
+
+  // Make sheet link clickable
+  const linkCell = sheet.getRange(rowNum, 3);
+  const url = linkCell.getValue();
+  if (url && url.includes("spreadsheet")) {
+    linkCell.setFormula(`=HYPERLINK("${url}", "Open Sheet")`);
+  }
+}
+
+/**
+ * Update survey processing status
+ */
+function updateSurveyStatus(formId, status) {
+  const sheet = getMegaSheet();
+  if (!sheet) return;
+
+  const data = sheet.getDataRange().getValues();
+
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][1] === formId) {
+      sheet.getRange(i + 1, 7).setValue(status);
+      sheet.getRange(i + 1, 6).setValue(new Date());
+      formatMegaSheetRow(sheet, i + 1);
+      break;
+    }
+  }
+}
+
+/**
+ * Update mega sheet status summary
+ */
+function updateMegaSheetStatus() {
+  try {
+    refreshSyncHealthDashboard();
+    logActivity("DEBUG", "Mega sheet status updated");
+  } catch (error) {
+    // The dashboard is informational and must not fail a run
+    logActivity(
+      "WARNING",
+      `Failed to refresh sync health dashboard: ${error.toString()}`
+    );
+  }
+}
+
+// ============================================================================
+// SURVEY REGISTRY
+// ============================================================================
+
+// Survey Registry columns, in sheet order
+const REGISTRY_HEADERS = [
+  "Form ID",
+  "Display Name",
+  "Sprint",
+  "Cohort",
+  "Active",
+  "Owner Email",
+  "Schedule",
+  "Chat Channel",
+  "Identity Field",
+  "Duplicate Policy",
+];
+
+const DUPLICATE_POLICIES = ["Keep Latest", "Keep First", "Flag Both", "Off"];
+
+/**
+ * Get survey registry sheet
+ */
+function getRegistrySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.REGISTRY_SHEET_NAME);
+}
+
+/**
+ * Create survey registry sheet, seeded with CONFIG.KNOWN_SURVEYS
+ */
+function createRegistrySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.REGISTRY_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, REGISTRY_HEADERS.length);
+  headerRange.setValues([REGISTRY_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#8E7CC3");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  sheet.setColumnWidth(1, 150); // Form ID
+  sheet.setColumnWidth(2, 250); // Display Name
+  sheet.setColumnWidth(3, 150); // Sprint
+  sheet.setColumnWidth(4, 120); // Cohort
+  sheet.setColumnWidth(5, 70); // Active
+  sheet.setColumnWidth(6, 200); // Owner Email
+  sheet.setColumnWidth(7, 100); // Schedule
+  sheet.setColumnWidth(8, 120); // Chat Channel
+  sheet.setColumnWidth(9, 150); // Identity Field
+  sheet.setColumnWidth(10, 120); // Duplicate Policy
+
+  // Schedule dropdown for the whole table
+  sheet
+    .getRange(2, 7, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(["Daily", "Weekly", "Manual"], true)
+        .build()
+    );
+  sheet
+    .getRange(2, 10, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(DUPLICATE_POLICIES, true)
+        .build()
+    );
+
+  appendRegistryRows(
+    sheet,
+    CONFIG.KNOWN_SURVEYS.map((survey) => ({ id: survey.id, name: survey.name }))
+  );
+
+  return sheet;
+}
+
+/**
+ * Append surveys to the registry as active, daily-scheduled rows
+ */
+function appendRegistryRows(sheet, surveys) {
+  if (surveys.length === 0) return;
+
+  const rows = surveys.map((survey) => [
+    survey.id,
+    survey.name,
+    survey.name,
+    "",
+    true,
+    "",
+    "Daily",
+    "",
+    "",
+    "Keep Latest",
+  ]);
+
+  // Checkbox cells count as content, so find the end of the Form ID column
+  const formIds = sheet.getRange("A:A").getValues();
+  let startRow = formIds.length;
+  while (startRow > 1 && formIds[startRow - 1][0] === "") startRow--;
+  startRow++;
+
+  sheet
+    .getRange(startRow, 1, rows.length, REGISTRY_HEADERS.length)
+    .setValues(rows);
+  sheet.getRange(startRow, 5, rows.length, 1).insertCheckboxes();
+}
+
+/**
+ * Read surveys from the registry, creating it on first use
+ */
+function getRegisteredSurveys(options = {}) {
+  const sheet = getRegistrySheet() || createRegistrySheet();
+
+  // Registries created before a column was added only lack its header
+  if (sheet.getLastColumn() < REGISTRY_HEADERS.length) {
+    sheet
+      .getRange(1, 1, 1, REGISTRY_HEADERS.length)
+      .setValues([REGISTRY_HEADERS]);
+  }
+
+  const data = sheet.getDataRange().getValues();
+
+  const surveys = [];
+  for (let i = 1; i < data.length; i++) {
+    const row = data[i];
+    const id = String(row[0]).trim();
+    if (!id) continue;
+
+    surveys.push({
+      id: id,
+      name: String(row[1]).trim() || id,
+      sprint: String(row[2]).trim(),
+      cohort: String(row[3]).trim(),
+      active: row[4] === true || String(row[4]).toUpperCase() === "TRUE",
+      owner: String(row[5]).trim(),
+      schedule: String(row[6]).trim() || "Daily",
+      channel: String(row[7]).trim(),
+      identity: String(row[8]).trim(),
+      duplicatePolicy: String(row[9]).trim() || "Keep Latest",
+      url: `https://form.typeform.com/to/${id}`,
+      rowNumber: i + 1,
+    });
+  }
+
+  return options.activeOnly
+    ? surveys.filter((survey) => survey.active)
+    : surveys;
+}
+
+/**
+ * Find a registered survey by form ID, or null
+ */
+function findRegisteredSurvey(formId) {
+  return getRegisteredSurveys().find((survey) => survey.id === formId) || null;
+}
+
+/**
+ * Check whether a survey's schedule is due for a scheduled run
+ */
+function isSurveyDue(survey, date) {
+  switch (survey.schedule.toLowerCase()) {
+    case "manual":
+      return false;
+    case "weekly":
+      return date.getDay() === 1; // Mondays
+    default:
+      return true;
+  }
+}
+
+/**
+ * Show survey registry sheet
+ */
+function showRegistrySheet() {
+  const sheet = getRegistrySheet() || createRegistrySheet();
+  SpreadsheetApp.setActiveSheet(sheet);
+}
+
+/**
+ * Find Typeform forms missing from the registry and offer to add them
+ */
+function discoverUnregisteredSurveys() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const registeredIds = getRegisteredSurveys().map((survey) => survey.id);
+    const newForms = getTypeforms().filter(
+      (form) => !registeredIds.includes(form.id)
+    );
+
+    if (newForms.length === 0) {
+      ui.alert(
+        "Discover New Surveys",
+        "All Typeform forms are already registered.",
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+
+    const list = newForms
+      .map((form) => `• ${form.title} (ID: ${form.id})`)
+      .join("\n");
+    const answer = ui.alert(
+      "Discover New Surveys",
+      `Found ${newForms.length} unregistered forms:\n\n${list}\n\nAdd them to the Survey Registry?`,
+      ui.ButtonSet.YES_NO
+    );
+
+    if (answer !== ui.Button.YES) return;
+
+    appendRegistryRows(
+      getRegistrySheet() || createRegistrySheet(),
+      newForms.map((form) => ({ id: form.id, name: form.title }))
+    );
+
+    logActivity("INFO", `Added ${newForms.length} surveys to the registry`);
+    ui.alert(
+      "Success",
+      `Added ${newForms.length} surveys. Review their sprint, cohort and owner in the Survey Registry.`,
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    logActivity("ERROR", `Survey discovery failed: ${error.toString()}`);
+    ui.alert(
+      "Error",
+      `Failed to discover surveys: ${error.toString()}`,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+// ============================================================================
+// LOGGING AND ERROR HANDLING
+// ============================================================================
+
+// System Logs columns, in sheet order
+const LOG_HEADERS = [
+  "Timestamp",
+  "Level",
+  "Message",
+  "Run ID",
+  "Form ID",
+  "Duration (ms)",
+  "Context",
+];
+
+// Entries below the LOG_LEVEL script property stay out of the sheet
+const LOG_LEVELS = {
+  DEBUG: 0,
+  INFO: 1,
+  SUCCESS: 1,
+  WARNING: 2,
+  ERROR: 3,
+  SUMMARY: 3,
+};
+
+// Logging state for this execution. Entries are buffered while a run
+// scope is open and written when it closes or the buffer fills.
+const logState = {
+  runId: null,
+  formId: null,
+  depth: 0,
+  buffer: [],
+  minLevel: null,
+  headersChecked: false,
+};
+
+/**
+ * Log activity to the log sheet. Context may carry formId and durationMs,
+ * which get their own columns; anything else is stored as JSON.
+ */
+function logActivity(level, message, context = {}) {
+  try {
+    Logger.log(`[${level}] ${message}`);
+
+    const rank = LOG_LEVELS[level] === undefined ? 1 : LOG_LEVELS[level];
+    if (rank < getMinLogLevel()) return;
+
+    const { formId, durationMs, ...details } = context;
+    logState.buffer.push([
+      new Date(),
+      level,
+      message,
+      getLogRunId(),
+      formId || logState.formId || "",
+      durationMs === undefined ? "" : durationMs,
+      Object.keys(details).length > 0 ? JSON.stringify(details) : "",
+    ]);
+
+    // Errors and summaries are written straight away so they survive a
+    // timeout; outside a run scope there is nothing to batch with
+    if (
+      logState.depth === 0 ||
+      rank >= LOG_LEVELS.ERROR ||
+      logState.buffer.length >= CONFIG.LOG_BUFFER_SIZE
+    ) {
+      flushLogs();
+    }
+  } catch (error) {
+    Logger.log("Logging error: " + error.toString());
+  }
+}
+
+/**
+ * Get this execution's run ID, creating it on first use
+ */
+function getLogRunId() {
+  if (!logState.runId) {
+    logState.runId = Utilities.getUuid().substring(0, 8);
+  }
+  return logState.runId;
+}
+
+/**
+ * Open a run scope that buffers log entries. A runId continues an earlier
+ * run and a formId is recorded on entries that do not name one. Returns
+ * what endLogRun needs to restore.
+ */
+function beginLogRun(options = {}) {
+  const previous = { formId: logState.formId };
+  if (options.runId) logState.runId = options.runId;
+  if (options.formId) logState.formId = options.formId;
+  logState.depth++;
+  return previous;
+}
+
+/**
+ * Close a run scope, writing buffered entries once the outermost closes
+ */
+function endLogRun(previous) {
+  logState.depth = Math.max(logState.depth - 1, 0);
+  if (previous) logState.formId = previous.formId;
+  if (logState.depth === 0) flushLogs();
+}
+
+/**
+ * Write buffered entries to the log sheet in one batch
+ */
+function flushLogs() {
+  if (logState.buffer.length === 0) return;
+  const rows = logState.buffer.splice(0);
+
+  try {
+    const sheet = getLogSheet();
+    if (!sheet) return;
+
+    if (!logState.headersChecked) {
+      // Log sheets created before the structured columns lack their headers
+      if (sheet.getRange(1, LOG_HEADERS.length).getValue() === "") {
+        writeLogHeaders(sheet);
+      }
+      logState.headersChecked = true;
+    }
+
+    // Without the lock another execution could claim the same rows, so fall
+    // back to appending one row at a time
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(2000)) {
+      rows.forEach((row) => sheet.appendRow(row));
+      return;
+    }
+
+    try {
+      sheet
+        .getRange(sheet.getLastRow() + 1, 1, rows.length, LOG_HEADERS.length)
+        .setValues(rows);
+      rotateLogs(sheet);
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (error) {
+    Logger.log("Logging error: " + error.toString());
+  }
+}
+
+/**
+ * Move the oldest entries into monthly archive tabs once the log sheet
+ * grows past CONFIG.LOG_MAX_ROWS
+ */
+function rotateLogs(sheet) {
+  const entries = sheet.getLastRow() - 1;
+  if (entries <= CONFIG.LOG_MAX_ROWS) return;
+
+  const count = entries - CONFIG.LOG_KEEP_ROWS;
+  const rows = sheet.getRange(2, 1, count, LOG_HEADERS.length).getValues();
+  const timeZone = getReportingTimeZone();
+
+  const months = {};
+  rows.forEach((row) => {
+    const timestamp = row[0] instanceof Date ? row[0] : new Date();
+    const month = Utilities.formatDate(timestamp, timeZone, "yyyy-MM");
+    (months[month] = months[month] || []).push(row);
+  });
+
+  Object.keys(months).forEach((month) => {
+    const archive = getLogArchiveSheet(month);
+    archive
+      .getRange(
+        archive.getLastRow() + 1,
+        1,
+        months[month].length,
+        LOG_HEADERS.length
+      )
+      .setValues(months[month]);
+  });
+
+  sheet.deleteRows(2, count);
+  Logger.log(`Archived ${count} log entries`);
+}
+
+/**
+ * Get a month's hidden log archive tab, creating it on first use
+ */
+function getLogArchiveSheet(month) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const name = `${CONFIG.LOG_ARCHIVE_PREFIX}${month}`;
+  let sheet = spreadsheet.getSheetByName(name);
+
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    writeLogHeaders(sheet);
+    sheet.getRange("A:A").setNumberFormat(CONFIG.DATE_FORMAT);
+    sheet.hideSheet();
+  }
+
+  return sheet;
+}
+
+/**
+ * Write the log header row
+ */
+function writeLogHeaders(sheet) {
+  const headerRange = sheet.getRange(1, 1, 1, LOG_HEADERS.length);
+  headerRange.setValues([LOG_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#34A853");
+  headerRange.setFontColor("white");
+}
+
+/**
+ * Get the minimum level written to the sheet, from the LOG_LEVEL property
+ */
+function getMinLogLevel() {
+  if (logState.minLevel === null) {
+    const level =
+      PropertiesService.getScriptProperties().getProperty("LOG_LEVEL") ||
+      "INFO";
+    logState.minLevel =
+      LOG_LEVELS[level] === undefined ? LOG_LEVELS.INFO : LOG_LEVELS[level];
+  }
+  return logState.minLevel;
+}
+
+/**
+ * Show dialog to change the minimum log level
+ */
+function showLogLevelDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const current =
+    PropertiesService.getScriptProperties().getProperty("LOG_LEVEL") || "INFO";
+
+  const response = ui.prompt(
+    "Log Level",
+    `Current minimum level: ${current}\n\nEnter DEBUG, INFO, WARNING or ERROR. Entries below it are kept out of System Logs:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const level = response.getResponseText().trim().toUpperCase();
+  if (!["DEBUG", "INFO", "WARNING", "ERROR"].includes(level)) {
+    ui.alert(
+      "Invalid Input",
+      "Level must be DEBUG, INFO, WARNING or ERROR.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  PropertiesService.getScriptProperties().setProperty("LOG_LEVEL", level);
+  logState.minLevel = null;
+  logActivity("INFO", `Log level set to ${level}`);
+  ui.alert("Success", `Log level set to ${level}.`, ui.ButtonSet.OK);
+}
+
+// ============================================================================
+// RUN HISTORY AND SYNC HEALTH
+// ============================================================================
+
+// Run History columns, in sheet order
+const RUN_HISTORY_HEADERS = [
+  "Run ID",
+  "Entry Point",
+  "Source",
+  "Started By",
+  "Started",
+  "Ended",
+  "Duration (s)",
+  "Status",
+  "Surveys",
+  "Responses Fetched",
+  "New",
+  "Updated",
+  "API Calls",
+  "Failures",
+  "Form IDs",
+  "Failed Form IDs",
+];
+
+// Counters for the run recorded by this execution
+const runMetrics = {
+  open: false,
+  fetched: 0,
+  added: 0,
+  updated: 0,
+  apiCalls: 0,
+  surveys: new Set(),
+  failures: new Set(),
+};
+
+/**
+ * Start recording a run. Returns null when an outer entry point in this
+ * execution is already recording, so nested calls add to its row.
+ */
+function beginRunRecord(entryPoint, source, runId = null) {
+  if (runMetrics.open) return null;
+
+  if (runId) logState.runId = runId;
+  runMetrics.open = true;
+  runMetrics.fetched = 0;
+  runMetrics.added = 0;
+  runMetrics.updated = 0;
+  runMetrics.apiCalls = 0;
+  runMetrics.surveys.clear();
+  runMetrics.failures.clear();
+
+  return { entryPoint, source, startedAt: new Date(), closed: false };
+}
+
+/**
+ * Finish a run and write its Run History row. Recording problems are
+ * logged and never thrown.
+ */
+function endRunRecord(record, result, error = null) {
+  if (!record || record.closed) return;
+  record.closed = true;
+  runMetrics.open = false;
+
+  try {
+    withScriptLock(() =>
+      writeRunHistoryRow(record, describeRunStatus(result, error))
+    );
+  } catch (recordError) {
+    logActivity(
+      "WARNING",
+      `Failed to record run history: ${recordError.toString()}`
+    );
+  }
+}
+
+/**
+ * Describe how a run ended from its job or sync result
+ */
+function describeRunStatus(result, error) {
+  if (error) return error.locked ? "Locked" : "Failed";
+  if (!result) return "Skipped";
+  if (result.partial || result.finished === false) return "Continuing";
+  if (result.failed && result.failed.length > 0)
+    return "Completed with failures";
+  return "Complete";
+}
+
+/**
+ * Add a run to Run History. A job resumed in a later execution shares its
+ * run ID, so its counters are added to the existing row.
+ */
+function writeRunHistoryRow(record, status) {
+  const sheet = getRunHistorySheet() || createRunHistorySheet();
+  const runId = getLogRunId();
+  const ended = new Date();
+
+  const ids = sheet.getRange("A:A").getValues();
+  let rowNumber = -1;
+  for (let i = ids.length - 1; i > 0; i--) {
+    if (ids[i][0] === runId) {
+      rowNumber = i + 1;
+      break;
+    }
+  }
+
+  const previous =
+    rowNumber === -1
+      ? null
+      : sheet
+          .getRange(rowNumber, 1, 1, RUN_HISTORY_HEADERS.length)
+          .getValues()[0];
+  const mergeIds = (column, ids) => {
+    const merged = new Set(
+      previous && previous[column] ? String(previous[column]).split(", ") : []
+    );
+    ids.forEach((id) => merged.add(id));
+    return Array.from(merged);
+  };
+  const add = (column, value) =>
+    (previous ? Number(previous[column]) || 0 : 0) + value;
+
+  const formIds = mergeIds(14, runMetrics.surveys);
+  const failedIds = mergeIds(15, runMetrics.failures);
+  const started = previous ? toDateValue(previous[4]) : record.startedAt;
+
+  const row = [
+    runId,
+    previous ? previous[1] : record.entryPoint,
+    previous ? previous[2] : record.source,
+    previous ? previous[3] : getCurrentUserEmail(),
+    started,
+    ended,
+    Math.round((ended - started) / 1000),
+    status,
+    formIds.length,
+    add(9, runMetrics.fetched),
+    add(10, runMetrics.added),
+    add(11, runMetrics.updated),
+    add(12, runMetrics.apiCalls),
+    failedIds.length,
+    formIds.join(", "),
+    failedIds.join(", "),
+  ];
+
+  if (rowNumber === -1) rowNumber = sheet.getLastRow() + 1;
+  sheet.getRange(rowNumber, 1, 1, row.length).setValues([row]);
+  sheet.getRange(rowNumber, 5, 1, 2).setNumberFormat(CONFIG.DATE_FORMAT);
+}
+
+/**
+ * Get run history sheet
+ */
+function getRunHistorySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return spreadsheet.getSheetByName(CONFIG.RUN_HISTORY_SHEET_NAME);
+}
+
+/**
+ * Create run history sheet
+ */
+function createRunHistorySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.insertSheet(CONFIG.RUN_HISTORY_SHEET_NAME);
+
+  const headerRange = sheet.getRange(1, 1, 1, RUN_HISTORY_HEADERS.length);
+  headerRange.setValues([RUN_HISTORY_HEADERS]);
+  headerRange.setFontWeight("bold");
+  headerRange.setBackground("#34A853");
+  headerRange.setFontColor("white");
+  sheet.setFrozenRows(1);
+
+  sheet.setColumnWidth(2, 160); // Entry Point
+  sheet.setColumnWidth(4, 200); // Started By
+  sheet.setColumnWidth(5, 150); // Started
+  sheet.setColumnWidth(6, 150); // Ended
+  sheet.setColumnWidth(8, 170); // Status
+  sheet.setColumnWidth(15, 300); // Form IDs
+
+  return sheet;
+}
+
+/**
+ * Open the run history sheet
+ */
+function showRunHistorySheet() {
+  const sheet = getRunHistorySheet() || createRunHistorySheet();
+  SpreadsheetApp.setActiveSheet(sheet);
+}
+
+/**
+ * Forget a survey's highest response count, e.g. after a full rebuild
+ */
+function resetResponseCountPeak(formId) {
+  const peaks = getResponseCountPeaks();
+  delete peaks[formId];
+  PropertiesService.getScriptProperties().setProperty(
+    "RESPONSE_COUNT_PEAKS",
+    JSON.stringify(peaks)
+  );
+}
+
+/**
+ * Get the highest response count seen per survey since its last rebuild
+ */
+function getResponseCountPeaks() {
+  return JSON.parse(
+    PropertiesService.getScriptProperties().getProperty(
+      "RESPONSE_COUNT_PEAKS"
+    ) || "{}"
+  );
+}
+
+/**
+ * Rebuild the Sync Health tab: stale surveys, response count drops, failed
+ * surveys and the most recent runs
+ */
+function refreshSyncHealthDashboard() {
+  const megaSheet = getMegaSheet();
+  if (!megaSheet) return;
+
+  const sheet = getSyncHealthSheet();
+  // The job progress line is kept between rebuilds; reportJobProgress owns it
+  const jobProgress =
+    sheet.getRange(CONFIG.JOB_PROGRESS_CELL).getValue() ||
+    "No processing job running";
+
+  const now = new Date();
+  const staleBefore = now.getTime() - CONFIG.STALE_SURVEY_DAYS * 86400000;
+  const peaks = getResponseCountPeaks();
+  const synced = new Set();
+  const stale = [];
+  const drops = [];
+  const failed = [];
+
+  readSheetRows(megaSheet).rows.forEach((row) => {
+    const formId = row["Form ID"];
+    if (!formId) return;
+    synced.add(formId);
+
+    // Paused and archived surveys are expected to stop updating
+    const lastUpdated = toDateValue(row["Last Updated"]);
+    const resting = ["Paused", "Archived"].includes(row["Processing Status"]);
+    if (
+      !resting &&
+      lastUpdated instanceof Date &&
+      lastUpdated.getTime() < staleBefore
+    ) {
+      stale.push([
+        row["Sprint Name"],
+        formId,
+        lastUpdated,
+        Math.floor((now - lastUpdated) / 86400000),
+      ]);
+    }
+
+    const count = Number(row["Response Count"]) || 0;
+    if (peaks[formId] !== undefined && count < peaks[formId]) {
+      drops.push([row["Sprint Name"], formId, peaks[formId], count]);
+    } else {
+      peaks[formId] = count;
+    }
+
+    if (row["Processing Status"] === "Failed") {
+      failed.push([row["Sprint Name"], formId, findLastError(formId), ""]);
+    }
+  });
+
+  // Active surveys that never reached the Master Database are stale too
+  getRegisteredSurveys({ activeOnly: true }).forEach((survey) => {
+    if (!synced.has(survey.id)) {
+      stale.push([survey.name, survey.id, "Never synced", ""]);
+    }
+  });
+
+  PropertiesService.getScriptProperties().setProperty(
+    "RESPONSE_COUNT_PEAKS",
+    JSON.stringify(peaks)
+  );
+
+  const recentRuns = [];
+  const historySheet = getRunHistorySheet();
+  if (historySheet) {
+    readSheetRows(historySheet)
+      .rows.slice(-10)
+      .reverse()
+      .forEach((run) => {
+        recentRuns.push([
+          run["Started"],
+          `${run["Entry Point"]} (${run["Source"]})`,
+          run["Status"],
+          `${run["New"]} new, ${run["Updated"]} updated, ${run["Failures"]} failed in ${run["Duration (s)"]}s`,
+        ]);
+      });
+  }
+
+  const sections = [
+    {
+      title: `⏰ Stale surveys (not synced in ${CONFIG.STALE_SURVEY_DAYS} days)`,
+      headers: ["Survey", "Form ID", "Last Updated", "Days Since"],
+      rows: stale,
+    },
+    {
+      title: "📉 Response count drops (since the last full rebuild)",
+      headers: ["Survey", "Form ID", "Highest Count", "Current Count"],
+      rows: drops,
+    },
+    {
+      title: "❌ Failed surveys",
+      headers: ["Survey", "Form ID", "Last Error", ""],
+      rows: failed,
+    },
+    {
+      title: "🗂️ Recent runs",
+      headers: ["Started", "Run", "Status", "Result"],
+      rows: recentRuns,
+    },
+  ];
+
+  const values = [
+    [`Sync Health - refreshed ${formatIsoDate(now)}`, "", "", ""],
+    [jobProgress, "", "", ""],
+  ];
+  const titleRows = [1];
+  const headerRows = [];
+  sections.forEach((section) => {
+    values.push(["", "", "", ""]);
+    values.push([`${section.title}: ${section.rows.length}`, "", "", ""]);
+    titleRows.push(values.length);
+    values.push(section.headers);
+    headerRows.push(values.length);
+    if (section.rows.length === 0) {
+      values.push(["✅ None", "", "", ""]);
+    } else {
+      section.rows.forEach((row) => values.push(row));
+    }
+  });
+
+  sheet.clear();
+  sheet.getRange(1, 1, values.length, 4).setValues(values);
+  titleRows.forEach((row) =>
+    sheet.getRange(row, 1).setFontWeight("bold").setFontSize(12)
+  );
+  headerRows.forEach((row) =>
+    sheet
+      .getRange(row, 1, 1, 4)
+      .setFontWeight("bold")
+      .setBackground("#34A853")
+      .setFontColor("white")
+  );
+  sheet.autoResizeColumns(1, 4);
+}
+
+/**
+ * Get the Sync Health tab, creating it on first use
+ */
+function getSyncHealthSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  return (
+    spreadsheet.getSheetByName(CONFIG.SYNC_HEALTH_SHEET_NAME) ||
+    spreadsheet.insertSheet(CONFIG.SYNC_HEALTH_SHEET_NAME)
+  );
+}
+
+/**
+ * Refresh and open the sync health dashboard
+ */
+function showSyncHealthDashboard() {
+  refreshSyncHealthDashboard();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+    CONFIG.SYNC_HEALTH_SHEET_NAME
+  );
+  if (sheet) {
+    SpreadsheetApp.setActiveSheet(sheet);
+  } else {
+    SpreadsheetApp.getUi().alert(
+      "Error",
+      "Master Database not found. Please initialize the system first.",
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+  }
+}
+
+// ============================================================================
+// UI AND MENU FUNCTIONS
+// ============================================================================
+
+/**
+ * Create custom menu with your specific options
+ */
+function createCustomMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu("🔄 Typeform Automation")
+    .addItem("🚀 Initialize System", "initializeSystem")
+    .addItem("🎛️ Control Panel", "showControlPanel")
+    .addSeparator()
+    .addItem("📊 Process All Surveys", "processAllSurveys")
+    .addItem("🎯 Process Registered Surveys", "processYourSurveys")
+    .addItem("♻️ Full Resync Survey", "showFullResyncDialog")
+    .addSubMenu(
+      ui
+        .createMenu("🧪 Dry Run")
+        .addItem("Preview All Surveys", "previewAllSurveys")
+        .addItem("Preview Registered Surveys", "previewRegisteredSurveys")
+        .addItem("Preview Single Survey", "showPreviewSurveyDialog")
+    )
+    .addSeparator()
+    .addItem("⚡ Quick Setup & Test", "quickSetupYourSurveys")
+    .addSeparator()
+    .addItem("📒 Open Survey Registry", "showRegistrySheet")
+    .addItem("🔎 Discover New Surveys", "discoverUnregisteredSurveys")
+    .addItem("🔐 Open Privacy Rules", "showPrivacyRulesSheet")
+    .addItem("✅ Open Validation Rules", "showValidationRulesSheet")
+    .addItem("🧩 Review Question Map", "showQuestionMapReview")
+    .addItem("💡 Suggest Question Mappings", "refreshQuestionSuggestions")
+    .addItem("👥 Identified Data Access", "showIdentifiedAccessDialog")
+    .addSeparator()
+    .addItem("🔔 Register Webhooks", "registerTypeformWebhooks")
+    .addItem("🔕 Unregister Webhooks", "unregisterTypeformWebhooks")
+    .addSeparator()
+    .addSubMenu(
+      ui
+        .createMenu("📤 Exports")
+        .addItem("Export All Surveys", "exportAllSurveys")
+        .addItem("Export Single Survey", "showExportSurveyDialog")
+        .addItem("Export Settings", "showExportSettingsDialog")
+    )
+    .addSubMenu(
+      ui
+        .createMenu("✉️ Notifications")
+        .addItem("📨 Send Email Digest Now", "sendDigestNow")
+        .addItem("⚙️ Email Digest Settings", "showDigestSettingsDialog")
+        .addItem("🔇 Mute / Unmute Email Digest", "toggleDigestMute")
+        .addSeparator()
+        .addItem("💬 Chat Webhook Channels", "showChatChannelsDialog")
+        .addItem("✏️ Chat Message Templates", "showChatTemplatesDialog")
+        .addItem("🧪 Send Test Chat Message", "sendTestChatMessage")
+    )
+    .addSeparator()
+    .addItem("🧭 Processing Job Status", "showProcessingJobDialog")
+    .addItem("🩺 Sync Health Dashboard", "showSyncHealthDashboard")
+    .addItem("🗂️ Run History", "showRunHistorySheet")
+    .addItem("📋 View System Logs", "showLogsSheet")
+    .addItem("🪵 Log Level", "showLogLevelDialog")
+    .addItem("ℹ️ About", "showAboutDialog")
+    .addToUi();
+}
+
+/**
+ * Show dialog to rebuild a survey's data sheet from its complete history
+ */
+function showFullResyncDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    "Full Resync Survey",
+    "Enter the Typeform ID or URL to rebuild.\n\nAll responses will be downloaded again and the survey's data sheet will be rewritten:",
+    ui.ButtonSet.OK_CANCEL
+  );
+
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const formId = extractFormId(result.getResponseText().trim());
+  if (!formId) {
+    ui.alert(
+      "Invalid Input",
+      "Please provide a valid Typeform ID or URL.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  try {
+    clearSyncCursor(formId);
+    processSingleSurvey(formId, null, { fullResync: true });
+    ui.alert("Success", `Survey ${formId} fully resynced!`, ui.ButtonSet.OK);
+  } catch (error) {
+    ui.alert(
+      "Error",
+      `Failed to resync survey: ${error.toString()}`,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Extract form ID from URL or return as-is if already an ID
+ */
+function extractFormId(input) {
+  if (!input) return null;
+
+  // If it's already a form ID (alphanumeric string)
+  if (/^[a-zA-Z0-9]+$/.test(input)) {
+    return input;
+  }
+
+  // Extract from Typeform URL
+  const urlMatch = input.match(/typeform\.com\/to\/([a-zA-Z0-9]+)/);
+  if (urlMatch) {
+    return urlMatch[1];
+  }
+
+  return null;
+}
+
+/**
+ * Show logs sheet
+ */
+function showLogsSheet() {
+  const sheet = getLogSheet();
+  if (sheet) {
+    SpreadsheetApp.setActiveSheet(sheet);
+  } else {
+    SpreadsheetApp.getUi().alert(
+      "Error",
+      "Log sheet not found. Please initialize the system first.",
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Show about dialog with your specific survey information
+ */
+function showAboutDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const surveyList = getRegisteredSurveys({ activeOnly: true })
+    .map((survey) => `• ${survey.name} (ID: ${survey.id})`)
+    .join("\n");
+
+  const message = `
+Typeform to Google Sheets Automation System
+Version 1.0
+
+🎯 Your Registered Surveys:
+${surveyList || "• None yet - add them in the Survey Registry sheet"}
+
+✨ Features:
+• Automated data retrieval from Typeform
+• Data cleaning and standardization
+• Centralized tracking dashboard
+• Individual data sheets for each survey
+• Comprehensive logging and error handling
+
+🚀 Quick Start:
+1. System is pre-configured with your API token
+2. Use 🎯 Process Registered Surveys to get the surveys above
+3. Or tick individual surveys in the 🎛️ Control Panel
+4. Check Master Database for results and links
+
+🔧 Your API Token: <YOUR_TYPEFORM_API_TOKEN>
+
+For support or questions, check System Logs for detailed information.
+  `;
+
+  ui.alert("About Typeform Automation", message, ui.ButtonSet.OK);
+}
+
+// ============================================================================
+// CONTROL PANEL SIDEBAR
+// ============================================================================
+// Server functions called from Sidebar.html with google.script.run. They
+// return plain objects (dates as ISO strings) and throw on bad input so the
+// sidebar's failure handler can show the message.
+
+/**
+ * Open the control panel sidebar
+ */
+function showControlPanel() {
+  const html = HtmlService.createHtmlOutputFromFile("Sidebar").setTitle(
+    "Typeform Automation"
+  );
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Registered surveys and unregistered Typeform forms with their last sync
+ * status from the Master Database, plus the running job if there is one
+ */
+function getControlPanelSurveys() {
+  const synced = {};
+  const megaSheet = getMegaSheet();
+  if (megaSheet && megaSheet.getLastRow() > 1) {
+    // Sheet links are HYPERLINK formulas whose value is only "Open Sheet"
+    const links = megaSheet
+      .getRange(2, 3, megaSheet.getLastRow() - 1, 1)
+      .getFormulas();
+    readSheetRows(megaSheet).rows.forEach((row, i) => {
+      if (!row["Form ID"]) return;
+      const link = links[i][0].match(/^=HYPERLINK\("([^"]*)"/i);
+      if (link) row["Source Sheet Link"] = link[1];
+      synced[row["Form ID"]] = row;
+    });
+  }
+
+  const surveys = getRegisteredSurveys().map((survey) => ({
+    formId: survey.id,
+    name: survey.name,
+    registered: true,
+    active: survey.active,
+  }));
+
+  // The registry still loads when Typeform cannot be reached
+  let warning = "";
+  try {
+    const registeredIds = surveys.map((survey) => survey.formId);
+    getTypeforms().forEach((form) => {
+      if (registeredIds.includes(form.id)) return;
+      surveys.push({
+        formId: form.id,
+        name: form.title,
+        registered: false,
+        active: false,
+      });
+    });
+  } catch (error) {
+    warning = `Could not list Typeform forms: ${error.message}`;
+  }
+
+  surveys.forEach((survey) => {
+    const row = synced[survey.formId];
+    survey.status = row ? row["Processing Status"] : "Not synced";
+    survey.responseCount = row ? row["Response Count"] : "";
+    survey.lastUpdated = row
+      ? formatIsoDate(toDateValue(row["Last Updated"])) || ""
+      : "";
+    survey.sheetUrl = row ? row["Source Sheet Link"] : "";
+  });
+
+  return {
+    surveys: surveys,
+    job: getProcessingJobProgress(),
+    warning: warning,
+  };
+}
+
+/**
+ * Process the surveys ticked in the control panel as a processing job and
+ * return the run result. The sidebar polls getProcessingJobProgress for
+ * live progress while this call runs.
+ */
+function processSelectedSurveys(formIds) {
+  if (!Array.isArray(formIds) || formIds.length === 0) {
+    throw new Error("Select at least one survey to process");
+  }
+
+  const record = beginRunRecord("processSelectedSurveys", "manual");
+
+  try {
+    // Unregistered forms are named after their Typeform title, as in
+    // processAllSurveys
+    const registered = getRegisteredSurveys();
+    let forms = null;
+    const items = formIds.map((formId) => {
+      const survey = registered.find((s) => s.id === formId);
+      if (survey) return { formId: formId, name: survey.name };
+
+      forms = forms || getTypeforms();
+      const form = forms.find((f) => f.id === formId);
+      if (!form) throw new Error(`Unknown survey ${formId}`);
+      return { formId: formId, name: form.title };
+    });
+
+    logActivity(
+      "INFO",
+      `Processing ${items.length} surveys from the control panel`
+    );
+    const result = startProcessingJob(items, "manual");
+    endRunRecord(record, result);
+    return result;
+  } catch (error) {
+    endRunRecord(record, null, error);
+    if (error.locked) {
+      logActivity("WARNING", `Control panel run skipped: ${error.message}`);
+    } else {
+      logActivity("ERROR", `Processing failed: ${error.toString()}`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * The current processing job in sidebar form, or null
+ */
+function getProcessingJobProgress() {
+  const job = getProcessingJob();
+  if (!job) return null;
+
+  return {
+    id: job.id,
+    source: job.source,
+    startedBy: job.startedBy,
+    startedAt: job.startedAt,
+    updatedAt: job.updatedAt,
+    stale: isJobStale(job),
+    progress: describeJobProgress(job),
+    settled: job.items.filter(isJobItemSettled).length,
+    total: job.items.length,
+    items: job.items.map((item) => ({
+      formId: item.formId,
+      name: item.name,
+      status: item.status,
+      message: item.message || "",
+    })),
+  };
+}
+
+/**
+ * Current token, schedule and timezone settings. Only the ends of the
+ * token are returned.
+ */
+function getControlPanelSettings() {
+  const token =
+    PropertiesService.getScriptProperties().getProperty("TYPEFORM_TOKEN") || "";
+
+  return {
+    tokenPreview: token
+      ? `${token.substring(0, 10)}...${token.substring(token.length - 4)}`
+      : "",
+    schedule: getProcessingSchedule(),
+    timeZone: getReportingTimeZone(),
+  };
+}
+
+/**
+ * Save settings from the control panel. A blank token keeps the current
+ * one. Everything is validated before anything is changed.
+ */
+function saveControlPanelSettings(settings) {
+  const token = String(settings.token || "").trim();
+  const timeZone = String(settings.timeZone || "").trim();
+  const hour = Number(settings.scheduleHour);
+
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error("Please provide a timezone such as Asia/Manila.");
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error("The schedule hour must be a whole number from 0 to 23.");
+  }
+
+  if (token) {
+    PropertiesService.getScriptProperties().setProperty(
+      "TYPEFORM_TOKEN",
+      token
+    );
+    logActivity("INFO", "API token updated");
+  }
+  if (timeZone !== getReportingTimeZone()) {
+    setReportingTimeZone(timeZone);
+  }
+
+  const schedule = getProcessingSchedule();
+  if (!settings.scheduleEnabled) {
+    if (schedule.enabled) deleteScheduledTriggers();
+  } else if (!schedule.enabled || schedule.hour !== hour) {
+    createScheduledTriggers(hour);
+  }
+
+  return getControlPanelSettings();
+}
+
+/**
+ * Recent System Logs entries, newest first. Filters: level (minimum),
+ * formId and limit.
+ */
+function getRecentLogs(filters = {}) {
+  const sheet = getLogSheet();
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const minRank = LOG_LEVELS[filters.level] || 0;
+  const formId = String(filters.formId || "").trim();
+  const limit = filters.limit || CONFIG.CONTROL_PANEL_LOG_LIMIT;
+
+  const rows = sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, LOG_HEADERS.length)
+    .getValues();
+
+  const entries = [];
+  for (let i = rows.length - 1; i >= 0 && entries.length < limit; i--) {
+    const [timestamp, level, message, runId, rowFormId, durationMs, context] =
+      rows[i];
+    const rank = LOG_LEVELS[level] === undefined ? 1 : LOG_LEVELS[level];
+    if (rank < minRank) continue;
+    if (formId && rowFormId !== formId) continue;
+
+    entries.push({
+      timestamp: formatIsoDate(toDateValue(timestamp)) || "",
+      level: level,
+      message: String(message),
+      runId: runId,
+      formId: rowFormId,
+      durationMs: durationMs,
+      context: context,
+    });
+  }
+
+  return entries;
+}
+
+// ============================================================================
+// MASTER DATABASE ACTIONS
+// ============================================================================
+
+/**
+ * Add the Action dropdown to the Master Database and install the edit
+ * trigger that runs the chosen action
+ */
+function setupMegaActions() {
+  const sheet = getMegaSheet();
+  if (!sheet) return;
+
+  applyMegaActionDropdown(sheet);
+
+  // Rows written before actions worked all say "Update"
+  const column = MEGA_SHEET_HEADERS.indexOf("Action") + 1;
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, column, sheet.getLastRow() - 1, 1).clearContent();
+  }
+
+  const installed = ScriptApp.getProjectTriggers().some(
+    (trigger) => trigger.getHandlerFunction() === "handleMegaActionEdit"
+  );
+  if (!installed) {
+    ScriptApp.newTrigger("handleMegaActionEdit")
+      .forSpreadsheet(SpreadsheetApp.getActiveSpreadsheet())
+      .onEdit()
+      .create();
+    logActivity("INFO", "Master Database action trigger installed");
+  }
+}
+
+/**
+ * Limit the Action column to MEGA_ACTIONS
+ */
+function applyMegaActionDropdown(sheet) {
+  const column = MEGA_SHEET_HEADERS.indexOf("Action") + 1;
+  sheet
+    .getRange(2, column, sheet.getMaxRows() - 1, 1)
+    .setDataValidation(
+      SpreadsheetApp.newDataValidation()
+        .requireValueInList(MEGA_ACTIONS, true)
+        .setAllowInvalid(false)
+        .build()
+    );
+}
+
+/**
+ * Installable edit trigger: run the action picked in a Master Database row,
+ * then reset the dropdown
+ */
+function handleMegaActionEdit(e) {
+  const range = e.range;
+  const sheet = range.getSheet();
+  const column = MEGA_SHEET_HEADERS.indexOf("Action") + 1;
+
+  if (
+    sheet.getName() !== CONFIG.MEGA_SHEET_NAME ||
+    range.getColumn() !== column ||
+    range.getNumColumns() !== 1 ||
+    range.getRow() < 2
+  ) {
+    return;
+  }
+
+  // Pasting over several rows is not an action
+  if (range.getNumRows() > 1 || !MEGA_ACTIONS.includes(e.value)) {
+    range.clearContent();
+    return;
+  }
+
+  const action = e.value;
+  const row = sheet.getRange(range.getRow(), 1, 1, 2).getValues()[0];
+  const sprintName = row[0];
+  const formId = String(row[1]).trim();
+  const user = e.user ? e.user.getEmail() : "";
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const logScope = beginLogRun({ formId: formId });
+
+  try {
+    if (!formId) return;
+
+    if (!canRunMegaAction(user, formId)) {
+      logActivity(
+        "WARNING",
+        `Rejected ${action} on survey ${formId} by ${
+          user || "an unidentified user"
+        }`
+      );
+      spreadsheet.toast(
+        `You do not have permission to run ${action} on ${sprintName}.`,
+        "Action Rejected"
+      );
+      return;
+    }
+
+    logActivity("INFO", `${action} requested by ${user}`);
+    spreadsheet.toast(`${action} started for ${sprintName}…`, "Action");
+    runMegaAction(action, formId, sprintName);
+    spreadsheet.toast(`${action} finished for ${sprintName}.`, "Action");
+  } catch (error) {
+    if (!error.locked) {
+      logActivity(
+        "ERROR",
+        `${action} failed for survey ${formId}: ${error.toString()}`
+      );
+    }
+    spreadsheet.toast(error.message, `${action} Failed`);
+  } finally {
+    range.clearContent();
+    endLogRun(logScope);
+  }
+}
+
+/**
+ * Only programme leads, the survey's registry owner and the spreadsheet
+ * owner may run Master Database actions
+ */
+function canRunMegaAction(email, formId) {
+  // Google hides the editor's email outside the owner's domain
+  if (!email) return false;
+
+  const allowed = getProgrammeLeads();
+  const owner = SpreadsheetApp.getActiveSpreadsheet().getOwner();
+  if (owner) allowed.push(owner.getEmail());
+  const survey = findRegisteredSurvey(formId);
+  if (survey && survey.owner) allowed.push(survey.owner);
+
+  return allowed.some(
+    (allowedEmail) => allowedEmail.toLowerCase() === email.toLowerCase()
+  );
+}
+
+/**
+ * Run one Master Database action for a survey. Update and Full Resync set
+ * the processing status as they sync; Archive and Pause set it here.
+ */
+function runMegaAction(action, formId, sprintName) {
+  switch (action) {
+    case "Update":
+      processSingleSurvey(formId, sprintName);
+      break;
+    case "Full Resync":
+      clearSyncCursor(formId);
+      processSingleSurvey(formId, sprintName, { fullResync: true });
+      break;
+    case "Export":
+      // The Latest Export link records it; the sync status stays as it is
+      exportSurvey(formId, sprintName);
+      break;
+    case "Archive":
+      archiveSurvey(formId, sprintName);
+      updateSurveyStatus(formId, "Archived");
+      break;
+    case "Pause":
+      setSurveyActive(formId, sprintName, false);
+      updateSurveyStatus(formId, "Paused");
+      logActivity(
+        "INFO",
+        "Survey paused; tick Active in the Survey Registry to resume"
+      );
+      break;
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+/**
+ * Pause a survey and move its data spreadsheet into the archive folder
+ */
+function archiveSurvey(formId, sprintName) {
+  setSurveyActive(formId, sprintName, false);
+
+  const spreadsheet = findDataSpreadsheet(sprintName);
+  if (!spreadsheet) {
+    logActivity("WARNING", `No data sheet to archive for ${sprintName}`);
+    return;
+  }
+
+  const parent = getOrCreateDataFolder();
+  const folders = parent.getFoldersByName(CONFIG.ARCHIVE_FOLDER_NAME);
+  const archive = folders.hasNext()
+    ? folders.next()
+    : parent.createFolder(CONFIG.ARCHIVE_FOLDER_NAME);
+
+  DriveApp.getFileById(spreadsheet.getId()).moveTo(archive);
+  logActivity("INFO", `Moved ${sprintName}_Data to the archive folder`);
+}
+
+/**
+ * Tick or untick a survey's Active box in the registry, registering it
+ * first if needed
+ */
+function setSurveyActive(formId, name, active) {
+  const sheet = getRegistrySheet() || createRegistrySheet();
+
+  let survey = findRegisteredSurvey(formId);
+  if (!survey) {
+    appendRegistryRows(sheet, [{ id: formId, name: name }]);
+    survey = findRegisteredSurvey(formId);
+  }
+
+  sheet.getRange(survey.rowNumber, 5).setValue(active);
+}
+
+// ============================================================================
+// TRIGGER MANAGEMENT
+// ============================================================================
+
+/**
+ * Create scheduled triggers
+ */
+function createScheduledTriggers(hour = 9) {
+  // Delete existing triggers
+  deleteScheduledTriggers();
+
+  // Create new daily trigger
+  ScriptApp.newTrigger("scheduledProcessing")
+    .timeBased()
+    .everyDays(1)
+    .atHour(hour)
+    .create();
+
+  // Triggers do not expose their hour, so remember it for the settings
+  PropertiesService.getScriptProperties().setProperty(
+    "SCHEDULE_HOUR",
+    String(hour)
+  );
+  logActivity("INFO", `Scheduled triggers created for ${hour}:00 daily`);
+}
+
+/**
+ * Remove the daily processing trigger
+ */
+function deleteScheduledTriggers() {
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (trigger.getHandlerFunction() === "scheduledProcessing") {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Whether daily processing is scheduled, and at which hour
+ */
+function getProcessingSchedule() {
+  const hour =
+    PropertiesService.getScriptProperties().getProperty("SCHEDULE_HOUR");
+
+  return {
+    enabled: ScriptApp.getProjectTriggers().some(
+      (trigger) => trigger.getHandlerFunction() === "scheduledProcessing"
+    ),
+    hour: hour === null ? 9 : Number(hour),
+  };
+}
+
+/**
+ * Replace the export trigger to match the export schedule setting
+ */
+function createExportTrigger(schedule) {
+  ScriptApp.getProjectTriggers().forEach((trigger) => {
+    if (trigger.getHandlerFunction() === "scheduledExport") {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+
+  // After the 9 AM processing run has had time to finish
+  if (schedule === "daily") {
+    ScriptApp.newTrigger("scheduledExport")
+      .timeBased()
+      .everyDays(1)
+      .atHour(11)
+      .create();
+  } else if (schedule === "weekly") {
+    ScriptApp.newTrigger("scheduledExport")
+      .timeBased()
+      .onWeekDay(ScriptApp.WeekDay.MONDAY)
+      .atHour(11)
+      .create();
+  }
+
+  logActivity("INFO", `Export schedule set to ${schedule}`);
+}
+
+/**
+ * Scheduled processing function
+ */
+function scheduledProcessing() {
+  const record = beginRunRecord("scheduledProcessing", "scheduled");
+
+  try {
+    logActivity("INFO", "Starting scheduled processing");
+    const result = processAllSurveys({ scheduled: true });
+    endRunRecord(record, result);
+    if (result) {
+      logActivity("SUCCESS", "Scheduled processing completed");
+    }
+  } catch (error) {
+    endRunRecord(record, null, error);
+    logActivity("ERROR", `Scheduled processing failed: ${error.toString()}`);
+  }
+}
+
+// ============================================================================
+// WEBHOOK INTEGRATION
+// ============================================================================
+
+/**
+ * Web app endpoint for Typeform `form_response` webhooks
+ */
+function doPost(e) {
+  const logScope = beginLogRun();
+  try {
+    const payload = e && e.postData ? e.postData.contents : "";
+    const event = JSON.parse(payload || "{}");
+    const formResponse = event.form_response || {};
+
+    if (!verifyWebhookRequest(e, payload, formResponse.form_id)) {
+      logActivity(
+        "WARNING",
+        `Rejected webhook with invalid signature for form ${formResponse.form_id}`
+      );
+      return createJsonOutput({ success: false, message: "Invalid signature" });
+    }
+
+    if (event.event_type !== "form_response") {
+      return createJsonOutput({ success: true, message: "Event ignored" });
+    }
+
+    const result = processWebhookResponse(formResponse);
+    return createJsonOutput(result);
+  } catch (error) {
+    logActivity("ERROR", `Webhook processing failed: ${error.toString()}`);
+    return createJsonOutput({ success: false, message: error.toString() });
+  } finally {
+    endLogRun(logScope);
+  }
+}
+
+/**
+ * Append a single webhook response to its survey's data sheet
+ */
+function processWebhookResponse(formResponse) {
+  const formId = formResponse.form_id;
+  const definition = formResponse.definition || {};
+  const knownSurvey = findRegisteredSurvey(formId);
+  const surveyTitle =
+    (knownSurvey && knownSurvey.name) || definition.title || `Survey_${formId}`;
+
+  // Paused and archived surveys take no new data until reactivated
+  if (knownSurvey && !knownSurvey.active) {
+    logActivity(
+      "INFO",
+      `Ignored webhook response ${formResponse.token} for inactive survey ${formId}`
+    );
+    return { formId, success: true, message: "Survey inactive" };
+  }
+
+  // The sync cursor is untouched here, so a skipped response is picked up
+  // by the next incremental sync
+  const lock = acquireRunLock(formId, "webhook");
+  if (!lock.acquired) {
+    logActivity(
+      "WARNING",
+      `${describeRunLock(`Survey ${formId}`, lock.holder)} Webhook response ${
+        formResponse.token
+      } left for the next sync.`
+    );
+    return { formId, success: true, message: "Deferred to next sync" };
+  }
+
+  try {
+    return storeWebhookResponse(formResponse, surveyTitle);
+  } finally {
+    releaseRunLock(formId, lock.lease);
+  }
+}
+
+/**
+ * Write a webhook response to the data sheet, All Responses and the Master
+ * Database while holding the survey's run lock
+ */
+function storeWebhookResponse(formResponse, surveyTitle) {
+  const formId = formResponse.form_id;
+
+  // Without a data sheet there is nothing to append to, so build it in full
+  if (!findDataSpreadsheet(surveyTitle)) {
+    logActivity(
+      "INFO",
+      `Webhook for ${formId} arrived before first sync, running full sync`
+    );
+    return syncSurvey(formId, surveyTitle, { source: "webhook" });
+  }
+
+  // The payload's definition lists fields flat, without the nested group and
+  // matrix fields, so use the full form as a sync does to keep headers stable
+  const formData = getTypeformData(formId);
+  const quarantine = [];
+  const cleanedData = processResponseData(
+    [formResponse],
+    formData.fields,
+    formData,
+    quarantine
+  );
+  savePseudonymMapping(formId, surveyTitle);
+
+  const columns = buildDataColumns(formId, formData.fields);
+  const sheetResult = createOrUpdateDataSheet(
+    surveyTitle,
+    cleanedData,
+    formId,
+    {
+      incremental: true,
+      syncCursor: getSyncCursor(formId),
+      columns: columns,
+      quarantine: quarantine,
+    }
+  );
+  updateAllResponsesSheet(formId, surveyTitle, cleanedData, columns, {
+    removedIds: sheetResult.removedIds,
+  });
+
+  updateMegaDatabase(
+    surveyTitle,
+    formId,
+    sheetResult.url,
+    sheetResult.totalRows,
+    {
+      quarantined: sheetResult.quarantined,
+      uniqueRespondents: sheetResult.uniqueRespondents,
+    }
+  );
+
+  // Alert on low scores as soon as the response arrives
+  notifyLowRatings(
+    formId,
+    surveyTitle,
+    selectAddedRows(cleanedData, sheetResult),
+    columns,
+    sheetResult.url
+  );
+
+  logActivity(
+    quarantine.length > 0 ? "WARNING" : "SUCCESS",
+    `Webhook response ${formResponse.token} ${
+      quarantine.length > 0 ? "quarantined" : "stored"
+    } for survey ${formId}`
+  );
+  return { formId, success: true, sheetUrl: sheetResult.url };
+}
+
+/**
+ * Check a webhook request against the shared secret.
+ * Apps Script web apps do not expose request headers, so when the
+ * `Typeform-Signature` header is unavailable the per-form key embedded in
+ * the registered webhook URL is checked instead.
+ */
+function verifyWebhookRequest(e, payload, formId) {
+  const secret = getWebhookSecret();
+  if (!secret) return false;
+
+  const headers = (e && e.headers) || {};
+  const signature =
+    headers["Typeform-Signature"] || headers["typeform-signature"];
+  if (signature) {
+    return safeEquals(signature, computeTypeformSignature(payload, secret));
+  }
+
+  const key = e && e.parameter ? e.parameter.key : null;
+  return (
+    !!formId && !!key && safeEquals(key, computeWebhookKey(formId, secret))
+  );
+}
+
+/**
+ * Compute the `Typeform-Signature` header value for a payload
+ */
+function computeTypeformSignature(payload, secret) {
+  const digest = Utilities.computeHmacSha256Signature(
+    payload,
+    secret,
+    Utilities.Charset.UTF_8
+  );
+  return `sha256=${Utilities.base64Encode(digest)}`;
+}
+
+/**
+ * Derive the per-form key appended to the registered webhook URL
+ */
+function computeWebhookKey(formId, secret) {
+  const digest = Utilities.computeHmacSha256Signature(
+    formId,
+    secret,
+    Utilities.Charset.UTF_8
+  );
+  return digest
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Compare two strings without returning early on the first mismatch
+ */
+function safeEquals(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Get the webhook secret, creating one on first use if requested
+ */
+function getWebhookSecret(createIfMissing = false) {
+  const properties = PropertiesService.getScriptProperties();
+  let secret = properties.getProperty("TYPEFORM_WEBHOOK_SECRET");
+
+  if (!secret && createIfMissing) {
+    secret = Utilities.getUuid().replace(/-/g, "");
+    properties.setProperty("TYPEFORM_WEBHOOK_SECRET", secret);
+  }
+
+  return secret;
+}
+
+/**
+ * Get the deployed web app URL webhooks should be sent to
+ */
+function getWebhookBaseUrl() {
+  const url =
+    PropertiesService.getScriptProperties().getProperty("WEBHOOK_URL") ||
+    ScriptApp.getService().getUrl();
+
+  if (!url) {
+    throw new Error(
+      "Web app URL not found. Deploy the script as a web app or set the WEBHOOK_URL script property."
+    );
+  }
+
+  return url;
+}
+
+/**
+ * Register the webhook for every active registered survey
+ */
+function registerTypeformWebhooks() {
+  const secret = getWebhookSecret(true);
+  const baseUrl = getWebhookBaseUrl();
+
+  const results = getRegisteredSurveys({ activeOnly: true }).map((survey) =>
+    callWebhookApi(survey, "PUT", {
+      url: `${baseUrl}?key=${computeWebhookKey(survey.id, secret)}`,
+      enabled: true,
+      secret: secret,
+      verify_ssl: true,
+    })
+  );
+
+  showWebhookResults("Register Webhooks", results);
+  return results;
+}
+
+/**
+ * Remove the webhook from every registered survey
+ */
+function unregisterTypeformWebhooks() {
+  const results = getRegisteredSurveys().map((survey) =>
+    callWebhookApi(survey, "DELETE")
+  );
+
+  showWebhookResults("Unregister Webhooks", results);
+  return results;
+}
+
+/**
+ * Create, update or delete this system's webhook on a form
+ */
+function callWebhookApi(survey, method, body = null) {
+  try {
+    typeformRequest(`/forms/${survey.id}/webhooks/${CONFIG.WEBHOOK_TAG}`, {
+      method: method,
+      payload: body,
+    });
+
+    logActivity("INFO", `Webhook ${method} succeeded for ${survey.id}`);
+    return { formId: survey.id, name: survey.name, success: true };
+  } catch (error) {
+    // A missing webhook is already unregistered
+    if (method === "DELETE" && error.status === 404) {
+      return { formId: survey.id, name: survey.name, success: true };
+    }
+
+    logActivity(
+      "ERROR",
+      `Webhook ${method} failed for ${survey.id}: ${error.toString()}`
+    );
+    return {
+      formId: survey.id,
+      name: survey.name,
+      success: false,
+      error: error.toString(),
+    };
+  }
+}
+
+/**
+ * Show the outcome of a webhook registration run
+ */
+function showWebhookResults(title, results) {
+  const lines = results.map((result) =>
+    result.success ? `✅ ${result.name}` : `❌ ${result.name}: ${result.error}`
+  );
+
+  SpreadsheetApp.getUi().alert(
+    title,
+    lines.join("\n"),
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * Wrap an object as a JSON web app response
+ */
+function createJsonOutput(data) {
+  return ContentService.createTextOutput(JSON.stringify(data)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
+
+// ============================================================================
+// DATA EXPORTS
+// ============================================================================
+
+/**
+ * Get export settings merged over CONFIG.EXPORT_DEFAULTS
+ */
+function getExportSettings() {
+  const stored = JSON.parse(
+    PropertiesService.getScriptProperties().getProperty("EXPORT_SETTINGS") ||
+      "{}"
+  );
+  return Object.assign({}, CONFIG.EXPORT_DEFAULTS, stored);
+}
+
+/**
+ * Export every survey in the Master Database (menu and scheduled trigger).
+ * The surveys are queued as an export job that continues in later
+ * executions if it runs out of time, like a processing job.
+ */
+function exportAllSurveys() {
+  const sheet = getMegaSheet();
+  if (!sheet) throw new Error("Mega database sheet not found");
+
+  const surveys = readSheetRows(sheet)
+    .rows.filter((row) => row["Form ID"])
+    .map((row) => ({
+      formId: row["Form ID"],
+      name: row["Sprint Name"],
+      status: "pending",
+    }));
+
+  const started = withScriptLock(() => {
+    const existing = getExportJob();
+    if (existing && !isJobStale(existing)) return false;
+
+    saveExportJob({ startedAt: new Date().toISOString(), items: surveys });
+    return true;
+  });
+  if (!started) {
+    reportLockedRun(
+      "Export All Surveys",
+      new Error("An export of all surveys is already in progress.")
+    );
+    return null;
+  }
+
+  const items = runExportJob();
+  showExportResults("Export All Surveys", items || []);
+  return items;
+}
+
+/**
+ * Scheduled trigger handler for exports
+ */
+function scheduledExport() {
+  try {
+    exportAllSurveys();
+  } catch (error) {
+    logActivity("ERROR", `Scheduled export failed: ${error.toString()}`);
+  }
+}
+
+/**
+ * Trigger handler that continues an unfinished export job
+ */
+function resumeExportJob() {
+  deleteJobContinuationTriggers("resumeExportJob");
+  runExportJob();
+}
+
+/**
+ * Export the job's pending surveys until the time budget runs out, then
+ * leave the rest to a continuation trigger. Returns the job's items.
+ */
+function runExportJob() {
+  // Only one execution may work on the export job at a time
+  const lock = acquireRunLock("export", "export runner");
+  if (!lock.acquired) {
+    logActivity(
+      "WARNING",
+      describeRunLock("The export job", lock.holder) + " Skipping."
+    );
+    return null;
+  }
+
+  try {
+    const job = getExportJob();
+    if (!job) return null;
+
+    const deadline = Date.now() + CONFIG.JOB_TIME_BUDGET_MS;
+    const settings = getExportSettings();
+
+    for (const item of job.items) {
+      if (item.status !== "pending") continue;
+      if (Date.now() > deadline) break;
+
+      try {
+        const result = exportSurvey(item.formId, item.name, settings);
+        item.status = "done";
+        item.rows = result.rows;
+        item.files = result.files.length;
+      } catch (error) {
+        logActivity(
+          "ERROR",
+          `Export failed for survey ${item.formId}: ${error.toString()}`,
+          { formId: item.formId }
+        );
+        item.status = "failed";
+        item.error = error.message;
+      }
+      saveExportJob(job);
+    }
+
+    const pending = job.items.filter((item) => item.status === "pending");
+    if (pending.length > 0) {
+      scheduleJobContinuation("resumeExportJob");
+      logActivity(
+        "INFO",
+        `Time budget reached for the export job, ${pending.length} surveys continue in a new execution`
+      );
+    } else {
+      PropertiesService.getScriptProperties().deleteProperty("EXPORT_JOB");
+      const failed = job.items.filter((item) => item.status === "failed");
+      logActivity(
+        failed.length > 0 ? "WARNING" : "SUCCESS",
+        `Exported ${job.items.length - failed.length} of ${
+          job.items.length
+        } surveys`
+      );
+    }
+
+    return job.items;
+  } finally {
+    releaseRunLock("export", lock.lease);
+  }
+}
+
+/**
+ * Get the current export job, or null
+ */
+function getExportJob() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("EXPORT_JOB");
+  return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Persist the export job, recording a heartbeat for stuck-job detection
+ */
+function saveExportJob(job) {
+  job.updatedAt = new Date().toISOString();
+  PropertiesService.getScriptProperties().setProperty(
+    "EXPORT_JOB",
+    JSON.stringify(job)
+  );
+}
+
+/**
+ * Write a survey's cleaned data to CSV, NDJSON and XLSX files in today's
+ * export folder and link the folder from the Master Database
+ */
+function exportSurvey(formId, sprintName, settings = getExportSettings()) {
+  const spreadsheet = findDataSpreadsheet(sprintName);
+  if (!spreadsheet) {
+    throw new Error(`No data sheet found for ${sprintName}, sync it first`);
+  }
+
+  const sheet = spreadsheet.getSheetByName(CONFIG.DATA_SHEET_NAME);
+  if (!sheet) {
+    throw new Error(`${sprintName}_Data has no ${CONFIG.DATA_SHEET_NAME} tab`);
+  }
+
+  const table = readExportTable(sheet);
+  table.booleanHeaders = getBooleanHeaders(formId);
+  const folder = getExportFolder();
+  const baseName = `${sprintName}_Data`;
+  const files = [];
+
+  if (settings.formats.includes("csv")) {
+    files.push(
+      writeExportFile(
+        folder,
+        `${baseName}.csv`,
+        Utilities.newBlob(
+          (settings.csvBom ? "\uFEFF" : "") + toCsv(table),
+          "text/csv",
+          `${baseName}.csv`
+        )
+      )
+    );
+  }
+
+  if (settings.formats.includes("ndjson")) {
+    files.push(
+      writeExportFile(
+        folder,
+        `${baseName}.ndjson`,
+        Utilities.newBlob(
+          toNdjson(table),
+          "application/x-ndjson",
+          `${baseName}.ndjson`
+        )
+      )
+    );
+  }
+
+  if (settings.formats.includes("xlsx")) {
+    files.push(
+      writeExportFile(
+        folder,
+        `${baseName}.xlsx`,
+        exportSpreadsheetAsXlsx(spreadsheet, `${baseName}.xlsx`)
+      )
+    );
+  }
+
+  withScriptLock(() => recordExportLink(formId, folder));
+  logActivity(
+    "SUCCESS",
+    `Exported ${
+      table.rows.length
+    } rows of ${sprintName} as ${settings.formats.join(", ")}`,
+    { formId: formId }
+  );
+
+  return { formId, name: sprintName, rows: table.rows.length, files };
+}
+
+/**
+ * Read a data sheet for export. File links are stored as HYPERLINK
+ * formulas, so their URL is exported instead of the display name.
+ */
+function readExportTable(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  if (lastRow === 0 || lastColumn === 0) return { headers: [], rows: [] };
+
+  const range = sheet.getRange(1, 1, lastRow, lastColumn);
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+
+  const rows = values.slice(1).map((rowValues, i) =>
+    rowValues.map((value, j) => {
+      const link = formulas[i + 1][j].match(/^=HYPERLINK\("([^"]*)"/i);
+      return link ? link[1] : value;
+    })
+  );
+
+  return { headers: values[0], rows };
+}
+
+/**
+ * Format a table as RFC 4180 CSV
+ */
+function toCsv(table) {
+  const escapeCsv = (value) => {
+    let text;
+    if (value instanceof Date) {
+      text = formatIsoDate(value);
+    } else if (value === null || value === undefined) {
+      text = "";
+    } else {
+      text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return (
+    [table.headers]
+      .concat(table.rows)
+      .map((row) => row.map(escapeCsv).join(","))
+      .join("\r\n") + "\r\n"
+  );
+}
+
+/**
+ * Data sheet headers of a survey's yes/no questions, whose answers are
+ * stored as "Yes" and "No"
+ */
+function getBooleanHeaders(formId) {
+  try {
+    const fields = getTypeformData(formId).fields || [];
+    return buildDataColumns(formId, fields)
+      .filter((column) => column.type === "yes_no" || column.type === "legal")
+      .map((column) => column.header);
+  } catch (error) {
+    // The sheet can still be exported without the form definition
+    logActivity(
+      "WARNING",
+      `Could not load form ${formId}, exporting yes/no answers as text: ${error.toString()}`,
+      { formId: formId }
+    );
+    return [];
+  }
+}
+
+/**
+ * Format a table as newline-delimited JSON, keeping numbers and booleans
+ * typed, dates as ISO 8601 and empty cells as null
+ */
+function toNdjson(table) {
+  const booleanHeaders = new Set(table.booleanHeaders || []);
+
+  return table.rows
+    .map((row) => {
+      const record = {};
+      table.headers.forEach((header, i) => {
+        const value = row[i];
+        if (booleanHeaders.has(header) && (value === "Yes" || value === "No")) {
+          record[header] = value === "Yes";
+        } else if (value instanceof Date) {
+          record[header] = formatIsoDate(value);
+        } else if (value === "" || value === undefined) {
+          record[header] = null;
+        } else {
+          record[header] = value;
+        }
+      });
+      return JSON.stringify(record);
+    })
+    .join("\n");
+}
+
+/**
+ * Download a spreadsheet as an XLSX blob
+ */
+function exportSpreadsheetAsXlsx(spreadsheet, fileName) {
+  const response = UrlFetchApp.fetch(
+    `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export?format=xlsx`,
+    {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true,
+    }
+  );
+
+  if (response.getResponseCode() !== 200) {
+    throw new Error(
+      `XLSX export of ${spreadsheet.getName()} failed (${response.getResponseCode()})`
+    );
+  }
+  return response.getBlob().setName(fileName);
+}
+
+/**
+ * Save a file to the export folder, replacing one of the same name from an
+ * earlier export that day. Returns the file URL.
+ */
+function writeExportFile(folder, name, blob) {
+  const existing = folder.getFilesByName(name);
+  while (existing.hasNext()) {
+    existing.next().setTrashed(true);
+  }
+  return folder.createFile(blob).getUrl();
+}
+
+/**
+ * Get today's export folder inside the data folder, creating it on first use
+ */
+function getExportFolder() {
+  const name = `${CONFIG.EXPORT_FOLDER_PREFIX}${Utilities.formatDate(
+    new Date(),
+    getReportingTimeZone(),
+    "yyyy-MM-dd"
+  )}`;
+  const parent = getOrCreateDataFolder();
+  const folders = parent.getFoldersByName(name);
+  return folders.hasNext() ? folders.next() : parent.createFolder(name);
+}
+
+/**
+ * Link a survey's latest export folder from the Master Database
+ */
+function recordExportLink(formId, folder) {
+  const sheet = getMegaSheet();
+  if (!sheet) return;
+
+  const data = sheet.getDataRange().getValues();
+  if (MEGA_SHEET_HEADERS.some((header, i) => data[0][i] !== header)) {
+    writeMegaSheetHeaders(sheet);
+  }
+
+  const column = MEGA_SHEET_HEADERS.indexOf("Latest Export") + 1;
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][1] === formId) {
+      sheet
+        .getRange(i + 1, column)
+        .setFormula(`=HYPERLINK("${folder.getUrl()}", "${folder.getName()}")`);
+      return;
+    }
+  }
+}
+
+/**
+ * Show export results when run from the menu
+ */
+function showExportResults(title, items) {
+  const ui = getUiIfAvailable();
+  if (!ui) return;
+
+  const lines = items.slice(0, 15).map((item) => {
+    if (item.status === "failed") return `❌ ${item.name}: ${item.error}`;
+    if (item.status === "pending") {
+      return `⏳ ${item.name}: continues in the background`;
+    }
+    return `✅ ${item.name}: ${item.rows} rows, ${item.files} files`;
+  });
+  if (items.length > lines.length) {
+    lines.push(`…and ${items.length - lines.length} more`);
+  }
+
+  ui.alert(
+    title,
+    `${lines.join("\n") || "No surveys to export."}\n\nFiles are in "${
+      CONFIG.FOLDER_NAME
+    }" under today's "${CONFIG.EXPORT_FOLDER_PREFIX}" folder.`,
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Show dialog to export one survey
+ */
+function showExportSurveyDialog() {
+  const ui = SpreadsheetApp.getUi();
+
+  const result = ui.prompt(
+    "Export Single Survey",
+    "Enter the Typeform ID or URL of a synced survey to export:",
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (result.getSelectedButton() !== ui.Button.OK) return;
+
+  const formId = extractFormId(result.getResponseText().trim());
+  const row = formId
+    ? readSheetRows(getMegaSheet()).rows.find((r) => r["Form ID"] === formId)
+    : null;
+  if (!row) {
+    ui.alert(
+      "Invalid Input",
+      "That survey is not in the Master Database yet. Process it first.",
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  try {
+    const result = exportSurvey(formId, row["Sprint Name"]);
+    showExportResults("Export Single Survey", [
+      {
+        name: result.name,
+        status: "done",
+        rows: result.rows,
+        files: result.files.length,
+      },
+    ]);
+  } catch (error) {
+    logActivity("ERROR", `Export failed for ${formId}: ${error.toString()}`, {
+      formId: formId,
+    });
+    ui.alert(
+      "Error",
+      `Failed to export survey: ${error.toString()}`,
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Show dialogs to choose export formats, the CSV byte order mark and the
+ * export schedule
+ */
+function showExportSettingsDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const settings = getExportSettings();
+
+  const formats = ui.prompt(
+    "Export Settings",
+    `Current formats: ${settings.formats.join(
+      ", "
+    )}\n\nEnter comma-separated formats to export (csv, ndjson, xlsx), or leave blank to keep:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (formats.getSelectedButton() !== ui.Button.OK) return;
+
+  const formatList = formats
+    .getResponseText()
+    .split(",")
+    .map((format) => format.trim().toLowerCase())
+    .filter((format) => format);
+  if (formatList.length > 0) {
+    const invalid = formatList.filter(
+      (format) => !["csv", "ndjson", "xlsx"].includes(format)
+    );
+    if (invalid.length > 0) {
+      ui.alert(
+        "Invalid Input",
+        `Unknown formats: ${invalid.join(", ")}`,
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+    settings.formats = formatList;
+  }
+
+  settings.csvBom =
+    ui.alert(
+      "Export Settings",
+      "Start CSV files with a UTF-8 byte order mark? Excel needs it to show accented characters correctly.",
+      ui.ButtonSet.YES_NO
+    ) === ui.Button.YES;
+
+  const schedule = ui.prompt(
+    "Export Settings",
+    `Current schedule: ${settings.schedule}\n\nEnter off, daily or weekly, or leave blank to keep:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (schedule.getSelectedButton() !== ui.Button.OK) return;
+
+  const scheduleText = schedule.getResponseText().trim().toLowerCase();
+  if (scheduleText) {
+    if (!["off", "daily", "weekly"].includes(scheduleText)) {
+      ui.alert(
+        "Invalid Input",
+        "Schedule must be off, daily or weekly.",
+        ui.ButtonSet.OK
+      );
+      return;
+    }
+    settings.schedule = scheduleText;
+  }
+
+  PropertiesService.getScriptProperties().setProperty(
+    "EXPORT_SETTINGS",
+    JSON.stringify(settings)
+  );
+  createExportTrigger(settings.schedule);
+
+  logActivity(
+    "INFO",
+    `Export settings updated: ${settings.formats.join(", ")}, ${
+      settings.schedule
+    } schedule`
+  );
+  ui.alert("Success", "Export settings saved.", ui.ButtonSet.OK);
+}
+
+// ============================================================================
+// EMAIL DIGEST
+// ============================================================================
+
+/**
+ * Get digest settings merged over CONFIG.DIGEST_DEFAULTS
+ */
+function getDigestSettings() {
+  const stored = JSON.parse(
+    PropertiesService.getScriptProperties().getProperty("DIGEST_SETTINGS") ||
+      "{}"
+  );
+  return Object.assign({}, CONFIG.DIGEST_DEFAULTS, stored);
+}
+
+/**
+ * Save digest settings
+ */
+function saveDigestSettings(settings) {
+  PropertiesService.getScriptProperties().setProperty(
+    "DIGEST_SETTINGS",
+    JSON.stringify(settings)
+  );
+}
+
+/**
+ * Send the digest if it is not muted and its frequency says it is due
+ */
+function sendDigestIfDue() {
+  try {
+    const settings = getDigestSettings();
+    if (settings.muted) return;
+
+    const state = getDigestState();
+    const elapsedHours = state.lastSentAt
+      ? (Date.now() - new Date(state.lastSentAt).getTime()) / 3600000
+      : Infinity;
+
+    // Allow an hour of slack so a daily 9 AM trigger is never skipped
+    const dueHours = { run: 0, daily: 23, weekly: 7 * 24 - 1 };
+    if (elapsedHours < (dueHours[settings.frequency] || 0)) return;
+
+    sendDigest(settings);
+  } catch (error) {
+    logActivity("ERROR", `Email digest failed: ${error.toString()}`);
+  }
+}
+
+/**
+ * Menu action to send the digest straight away, even when muted
+ */
+function sendDigestNow() {
+  const ui = SpreadsheetApp.getUi();
+
+  try {
+    const sent = sendDigest(getDigestSettings());
+    ui.alert(
+      "Email Digest",
+      sent > 0
+        ? `Digest sent to ${sent} recipients.`
+        : "Nothing new to report, no digest sent.",
+      ui.ButtonSet.OK
+    );
+  } catch (error) {
+    logActivity("ERROR", `Email digest failed: ${error.toString()}`);
+    ui.alert(
+      "Error",
+      `Failed to send digest: ${error.toString()}`,
+      ui.ButtonSet.OK
+    );
   }
 }
 
 /**
- * Update survey processing status
+ * Build and email the digest to each survey owner and the configured
+ * recipients, then remember what was reported. Returns the number of emails
+ * sent.
  */
-function updateSurveyStatus(formId, status) {
+function sendDigest(settings) {
+  const state = getDigestState();
+  const surveys = collectDigestSurveys(state);
+
+  // Owners get their own surveys, configured recipients get all of them
+  const recipients = {};
+  surveys.forEach((survey) => {
+    if (survey.owner) {
+      recipients[survey.owner] = (recipients[survey.owner] || []).concat(
+        survey
+      );
+    }
+  });
+  (settings.recipients || []).forEach((email) => {
+    recipients[email] = surveys;
+  });
+
+  let sent = 0;
+  Object.keys(recipients).forEach((email) => {
+    const reportable = recipients[email].filter(
+      (survey) =>
+        survey.newResponses > 0 ||
+        survey.scoreChanges.length > 0 ||
+        survey.status === "Failed"
+    );
+    if (reportable.length === 0) return;
+
+    MailApp.sendEmail({
+      to: email,
+      subject: `Sprint survey digest: ${reportable.length} surveys with updates`,
+      htmlBody: buildDigestHtml(reportable),
+    });
+    sent++;
+  });
+
+  saveDigestState(surveys);
+  logActivity("INFO", `Email digest sent to ${sent} recipients`);
+  return sent;
+}
+
+/**
+ * Gather each Master Database survey with its changes since the last digest
+ */
+function collectDigestSurveys(state) {
   const sheet = getMegaSheet();
-  if (!sheet) return;
+  if (!sheet) return [];
 
   const data = sheet.getDataRange().getValues();
+  const owners = {};
+  getRegisteredSurveys().forEach((survey) => {
+    owners[survey.id] = survey.owner;
+  });
+  const surveys = [];
 
   for (let i = 1; i < data.length; i++) {
-    if (data[i][1] === formId) {
-      sheet.getRange(i + 1, 7).setValue(status);
-      sheet.getRange(i + 1, 6).setValue(new Date().toLocaleString());
-      formatMegaSheetRow(sheet, i + 1);
-      break;
-    }
+    const formId = data[i][1];
+    if (!formId) continue;
+
+    const name = data[i][0];
+    const responseCount = Number(data[i][3]) || 0;
+    const previous = state.surveys[formId] || { responseCount: 0, scores: {} };
+    const scores = readSummaryScores(name);
+
+    surveys.push({
+      formId: formId,
+      name: name,
+      owner: owners[formId] || "",
+      status: data[i][6],
+      error: data[i][6] === "Failed" ? findLastError(formId) : "",
+      responseCount: responseCount,
+      newResponses: Math.max(responseCount - previous.responseCount, 0),
+      scores: scores,
+      scoreChanges: compareScores(previous.scores, scores),
+    });
   }
+
+  return surveys;
 }
 
 /**
- * Update mega sheet status summary
+ * Read mean and NPS values from a survey's Summary tab
  */
-function updateMegaSheetStatus() {
-  // This function can be expanded to add summary statistics
-  logActivity("INFO", "Mega sheet status updated");
+function readSummaryScores(sprintName) {
+  const scores = {};
+  const spreadsheet = findDataSpreadsheet(sprintName);
+  const sheet =
+    spreadsheet && spreadsheet.getSheetByName(CONFIG.SUMMARY_SHEET_NAME);
+  if (!sheet) return scores;
+
+  readSheetRows(sheet).rows.forEach((row) => {
+    const isScore = row["Statistic"] === "Mean" || row["Statistic"] === "NPS";
+    if (isScore && typeof row["Value"] === "number") {
+      scores[`${row["Question"]} (${row["Statistic"]})`] = row["Value"];
+    }
+  });
+  return scores;
 }
 
-// ============================================================================
-// LOGGING AND ERROR HANDLING
-// ============================================================================
+/**
+ * List the biggest score movements between two digests
+ */
+function compareScores(previousScores, scores) {
+  return Object.keys(scores)
+    .filter((key) => previousScores[key] !== undefined)
+    .map((key) => ({
+      question: key,
+      previous: previousScores[key],
+      current: scores[key],
+      change: roundStat(scores[key] - previousScores[key]),
+    }))
+    .filter((change) => change.change !== 0)
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+    .slice(0, CONFIG.DIGEST_MAX_SCORE_CHANGES);
+}
 
 /**
- * Log activity to the log sheet
+ * Find the most recent error logged for a form
  */
-function logActivity(level, message) {
-  try {
-    const sheet = getLogSheet();
-    if (sheet) {
-      const timestamp = new Date().toLocaleString();
-      sheet.appendRow([timestamp, level, message]);
+function findLastError(formId) {
+  const sheet = getLogSheet();
+  if (!sheet) return "";
 
-      // Keep only last 1000 entries
-      if (sheet.getLastRow() > 1001) {
-        sheet.deleteRow(2);
-      }
+  const data = sheet.getDataRange().getValues();
+  for (let i = data.length - 1; i > 0; i--) {
+    const forForm =
+      data[i][4] === formId || String(data[i][2]).includes(formId);
+    if (data[i][1] === "ERROR" && forForm) {
+      return data[i][2];
     }
-
-    // Also log to Apps Script console
-    Logger.log(`[${level}] ${message}`);
-  } catch (error) {
-    Logger.log("Logging error: " + error.toString());
   }
+  return "";
 }
 
-// ============================================================================
-// UI AND MENU FUNCTIONS
-// ============================================================================
+/**
+ * Render the digest email body
+ */
+function buildDigestHtml(surveys) {
+  const sections = surveys.map((survey) => {
+    const changes = survey.scoreChanges
+      .map(
+        (change) =>
+          `<li>${escapeHtml(change.question)}: ${change.previous} → ${
+            change.current
+          } (${change.change > 0 ? "+" : ""}${change.change})</li>`
+      )
+      .join("");
+
+    return `
+      <h3 style="margin-bottom:4px">${escapeHtml(survey.name)}</h3>
+      <p style="margin-top:0">
+        ${survey.newResponses} new responses (${survey.responseCount} total)
+      </p>
+      ${changes ? `<p>Key score changes:</p><ul>${changes}</ul>` : ""}
+      ${
+        survey.status === "Failed"
+          ? `<p style="color:#CC0000">❌ Last sync failed: ${escapeHtml(
+              survey.error || "see System Logs"
+            )}</p>`
+          : ""
+      }`;
+  });
+
+  return `
+    <div style="font-family:Arial,sans-serif">
+      <h2>Sprint Survey Digest</h2>
+      ${sections.join("<hr>")}
+      <p style="color:#777777">Sent by the Typeform Automation System.</p>
+    </div>`;
+}
 
 /**
- * Create custom menu with your specific options
+ * Escape text for inclusion in HTML
  */
-function createCustomMenu() {
-  const ui = SpreadsheetApp.getUi();
-  ui.createMenu("🔄 Typeform Automation")
-    .addItem("🚀 Initialize System", "initializeSystem")
-    .addSeparator()
-    .addItem("📊 Process All Surveys", "processAllSurveys")
-    .addItem("🎯 Process Your 3 Surveys", "processYourSurveys")
-    .addItem("🔍 Process Single Survey", "showSingleSurveyDialog")
-    .addSeparator()
-    .addItem("⚡ Quick Setup & Test", "quickSetupYourSurveys")
-    .addSeparator()
-    .addItem("📋 View System Logs", "showLogsSheet")
-    .addItem("🔧 System Settings", "showSettingsDialog")
-    .addItem("ℹ️ About", "showAboutDialog")
-    .addToUi();
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /**
- * Show single survey processing dialog with your survey suggestions
+ * Get what the last digest reported
  */
-function showSingleSurveyDialog() {
-  const ui = SpreadsheetApp.getUi();
+function getDigestState() {
+  const value =
+    PropertiesService.getScriptProperties().getProperty("DIGEST_STATE");
+  return value ? JSON.parse(value) : { lastSentAt: null, surveys: {} };
+}
 
-  const suggestions = CONFIG.KNOWN_SURVEYS.map(
-    (s) => `${s.name}: ${s.id}`
-  ).join("\n• ");
+/**
+ * Remember counts and scores so the next digest only reports changes
+ */
+function saveDigestState(surveys) {
+  const state = { lastSentAt: new Date().toISOString(), surveys: {} };
+  surveys.forEach((survey) => {
+    state.surveys[survey.formId] = {
+      responseCount: survey.responseCount,
+      scores: survey.scores,
+    };
+  });
 
-  const result = ui.prompt(
-    "Process Single Survey",
-    `Enter Typeform ID or URL:\n\n💡 Your surveys:\n• ${suggestions}\n\nEnter ID or full URL:`,
-    ui.ButtonSet.OK_CANCEL
+  PropertiesService.getScriptProperties().setProperty(
+    "DIGEST_STATE",
+    JSON.stringify(state)
   );
+}
+
+/**
+ * Show dialogs to change digest frequency and extra recipients
+ */
+function showDigestSettingsDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const settings = getDigestSettings();
 
-  if (result.getSelectedButton() === ui.Button.OK) {
-    const input = result.getResponseText().trim();
-    const formId = extractFormId(input);
+  const frequency = ui.prompt(
+    "Email Digest Settings",
+    `Current frequency: ${settings.frequency}${
+      settings.muted ? " (muted)" : ""
+    }\n\nEnter how often to send the digest after scheduled runs: run, daily or weekly`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (frequency.getSelectedButton() !== ui.Button.OK) return;
 
-    if (formId) {
-      try {
-        processSingleSurvey(formId);
-        ui.alert(
-          "Success",
-          `Survey ${formId} processed successfully!`,
-          ui.ButtonSet.OK
-        );
-      } catch (error) {
-        ui.alert(
-          "Error",
-          `Failed to process survey: ${error.toString()}`,
-          ui.ButtonSet.OK
-        );
-      }
-    } else {
+  const frequencyText = frequency.getResponseText().trim().toLowerCase();
+  if (frequencyText) {
+    if (!["run", "daily", "weekly"].includes(frequencyText)) {
       ui.alert(
         "Invalid Input",
-        "Please provide a valid Typeform ID or URL.",
+        "Frequency must be run, daily or weekly.",
         ui.ButtonSet.OK
       );
+      return;
     }
+    settings.frequency = frequencyText;
+  }
+
+  const recipients = ui.prompt(
+    "Email Digest Settings",
+    `Current extra recipients: ${
+      settings.recipients.join(", ") || "none"
+    }\n\nSurvey owners from the Survey Registry always get their own surveys. Enter comma-separated emails that should get every survey (or "none"), or leave blank to keep:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (recipients.getSelectedButton() !== ui.Button.OK) return;
+
+  const recipientsText = recipients.getResponseText().trim();
+  if (recipientsText.toLowerCase() === "none") {
+    settings.recipients = [];
+  } else if (recipientsText) {
+    settings.recipients = recipientsText
+      .split(",")
+      .map((email) => email.trim())
+      .filter((email) => email);
   }
+
+  saveDigestSettings(settings);
+  logActivity(
+    "INFO",
+    `Email digest settings updated: ${settings.frequency}, ${settings.recipients.length} extra recipients`
+  );
+  ui.alert("Success", "Email digest settings saved.", ui.ButtonSet.OK);
 }
 
 /**
- * Extract form ID from URL or return as-is if already an ID
+ * Turn the email digest on or off
  */
-function extractFormId(input) {
-  if (!input) return null;
+function toggleDigestMute() {
+  const settings = getDigestSettings();
+  settings.muted = !settings.muted;
+  saveDigestSettings(settings);
+
+  logActivity("INFO", `Email digest ${settings.muted ? "muted" : "unmuted"}`);
+  SpreadsheetApp.getUi().alert(
+    "Email Digest",
+    settings.muted ? "🔇 Email digest muted." : "🔔 Email digest unmuted.",
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
 
-  // If it's already a form ID (alphanumeric string)
-  if (/^[a-zA-Z0-9]+$/.test(input)) {
-    return input;
-  }
+// ============================================================================
+// CHAT NOTIFICATIONS
+// ============================================================================
 
-  // Extract from Typeform URL
-  const urlMatch = input.match(/typeform\.com\/to\/([a-zA-Z0-9]+)/);
-  if (urlMatch) {
-    return urlMatch[1];
-  }
+/**
+ * Get chat settings: named incoming-webhook channels, template overrides and
+ * low rating thresholds
+ */
+function getChatSettings() {
+  const stored = JSON.parse(
+    PropertiesService.getScriptProperties().getProperty("CHAT_SETTINGS") || "{}"
+  );
+  return {
+    channels: stored.channels || {},
+    templates: Object.assign({}, CONFIG.CHAT_TEMPLATES, stored.templates),
+    lowRating: Object.assign(
+      {},
+      CONFIG.CHAT_LOW_RATING_DEFAULTS,
+      stored.lowRating
+    ),
+  };
+}
 
-  return null;
+/**
+ * Save chat settings, keeping only templates that differ from the defaults
+ */
+function saveChatSettings(settings) {
+  const templates = {};
+  Object.keys(settings.templates).forEach((event) => {
+    if (settings.templates[event] !== CONFIG.CHAT_TEMPLATES[event]) {
+      templates[event] = settings.templates[event];
+    }
+  });
+
+  PropertiesService.getScriptProperties().setProperty(
+    "CHAT_SETTINGS",
+    JSON.stringify({
+      channels: settings.channels,
+      templates: templates,
+      lowRating: settings.lowRating,
+    })
+  );
 }
 
 /**
- * Show logs sheet
+ * Post a survey event to the survey's chat channels. Delivery problems are
+ * logged and never thrown, so notifications cannot break a sync.
  */
-function showLogsSheet() {
-  const sheet = getLogSheet();
-  if (sheet) {
-    SpreadsheetApp.setActiveSheet(sheet);
-  } else {
-    SpreadsheetApp.getUi().alert(
-      "Error",
-      "Log sheet not found. Please initialize the system first.",
-      SpreadsheetApp.getUi().ButtonSet.OK
+function notifyChat(event, formId, values) {
+  try {
+    const settings = getChatSettings();
+    const survey = findRegisteredSurvey(formId);
+    const urls = resolveChatChannels(settings, survey);
+    if (urls.length === 0) return;
+
+    const text = renderChatTemplate(
+      settings.templates[event],
+      Object.assign(
+        { formId: formId, survey: (survey && survey.name) || formId },
+        removeEmptyValues(values)
+      )
+    );
+    urls.forEach((url) => postChatMessage(url, text));
+  } catch (error) {
+    logActivity(
+      "WARNING",
+      `Chat notification "${event}" for ${formId} failed: ${error.toString()}`
     );
   }
 }
 
 /**
- * Show settings dialog with current token pre-populated
+ * Rows a write actually added to the data sheet. A response stored by a
+ * webhook is fetched again by the next sync, so alerting only on added rows
+ * keeps each response to a single alert.
  */
-function showSettingsDialog() {
-  const ui = SpreadsheetApp.getUi();
-  const currentToken =
-    PropertiesService.getScriptProperties().getProperty("TYPEFORM_TOKEN") || "";
+function selectAddedRows(data, sheetResult) {
+  const addedIds = new Set(sheetResult.addedIds || []);
+  (sheetResult.removedIds || []).forEach((id) => addedIds.delete(id));
+  return data.filter((row) => addedIds.has(row["Response ID"]));
+}
 
-  // Show current token status
-  let message = "Current API Token Status:\n";
-  if (currentToken) {
-    message += `✅ Token configured: ${currentToken.substring(
-      0,
-      10
-    )}...${currentToken.substring(currentToken.length - 4)}\n\n`;
-    message += "Enter new token to update, or click Cancel to keep current:";
-  } else {
-    message += "❌ No token configured\n\n";
-    message += "Please enter your Typeform API Token:";
+/**
+ * Alert on detractor and low rating answers among newly synced responses
+ */
+function notifyLowRatings(formId, surveyTitle, data, columns, sheetUrl) {
+  try {
+    const settings = getChatSettings();
+    const survey = findRegisteredSurvey(formId);
+    const urls = resolveChatChannels(settings, survey);
+    if (urls.length === 0) return;
+
+    const lines = [];
+    data.forEach((row) => {
+      columns.forEach((column) => {
+        const threshold = settings.lowRating[column.type];
+        const score = row[column.header];
+        if (threshold === undefined || typeof score !== "number") return;
+        if (score > threshold) return;
+
+        lines.push(
+          renderChatTemplate(settings.templates.lowRating, {
+            formId: formId,
+            survey: surveyTitle,
+            question: column.header,
+            score: score,
+            responseId: row["Response ID"],
+            link: sheetUrl || "",
+          })
+        );
+      });
+    });
+    if (lines.length === 0) return;
+
+    const shown = lines.slice(0, CONFIG.CHAT_MAX_LOW_RATING_LINES);
+    if (lines.length > shown.length) {
+      shown.push(`…and ${lines.length - shown.length} more low scores.`);
+    }
+    urls.forEach((url) => postChatMessage(url, shown.join("\n")));
+  } catch (error) {
+    logActivity(
+      "WARNING",
+      `Low rating notification for ${formId} failed: ${error.toString()}`
+    );
   }
+}
+
+/**
+ * Map a survey's Chat Channel registry cell to webhook URLs. A blank cell
+ * uses the "default" channel; several channels can be comma-separated.
+ */
+function resolveChatChannels(settings, survey) {
+  const names =
+    survey && survey.channel
+      ? survey.channel.split(",").map((name) => name.trim().toLowerCase())
+      : ["default"];
+
+  return names
+    .map((name) => {
+      if (name === "none") return null;
+      if (!settings.channels[name]) {
+        logActivity(
+          "WARNING",
+          `Chat channel "${name}" for ${
+            survey ? survey.id : "unregistered survey"
+          } is not configured`
+        );
+        return null;
+      }
+      return settings.channels[name];
+    })
+    .filter((url) => url);
+}
 
-  const result = ui.prompt("System Settings", message, ui.ButtonSet.OK_CANCEL);
+/**
+ * Fill {placeholder} tokens in a message template
+ */
+function renderChatTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] === undefined ? "" : String(values[key])
+  );
+}
 
-  if (result.getSelectedButton() === ui.Button.OK) {
-    const token = result.getResponseText().trim();
-    if (token) {
-      PropertiesService.getScriptProperties().setProperty(
-        "TYPEFORM_TOKEN",
-        token
+/**
+ * Drop null and undefined values so they do not override defaults
+ */
+function removeEmptyValues(values) {
+  const result = {};
+  Object.keys(values).forEach((key) => {
+    if (values[key] !== null && values[key] !== undefined) {
+      result[key] = values[key];
+    }
+  });
+  return result;
+}
+
+/**
+ * Post a message to a Slack or Google Chat incoming webhook. Both accept a
+ * plain {text} payload.
+ */
+function postChatMessage(url, text) {
+  try {
+    const response = UrlFetchApp.fetch(url, {
+      method: "post",
+      contentType: "application/json",
+      payload: JSON.stringify({ text: text }),
+      muteHttpExceptions: true,
+    });
+
+    const status = response.getResponseCode();
+    if (status < 200 || status >= 300) {
+      logActivity(
+        "WARNING",
+        `Chat webhook returned ${status}: ${response
+          .getContentText()
+          .substring(0, 200)}`
       );
-      ui.alert("Success", "API token updated successfully!", ui.ButtonSet.OK);
+      return false;
     }
+    return true;
+  } catch (error) {
+    logActivity("WARNING", `Chat webhook delivery failed: ${error.toString()}`);
+    return false;
   }
 }
 
 /**
- * Show about dialog with your specific survey information
+ * Show dialogs to add, change or remove a named chat channel
  */
-function showAboutDialog() {
+function showChatChannelsDialog() {
   const ui = SpreadsheetApp.getUi();
+  const settings = getChatSettings();
 
-  const message = `
-Typeform to Google Sheets Automation System
-Version 1.0
-
-🎯 Your Pre-configured Surveys:
-• Intro to Machine Learning (ID: <TYPEFORM_FORM_ID_1>)
-• Data Engineering 101 (ID: <TYPEFORM_FORM_ID_1>)  
-• Natural Language Processing 1 (ID: <TYPEFORM_FORM_ID_3>)
-
-✨ Features:
-• Automated data retrieval from Typeform
-• Data cleaning and standardization
-• Centralized tracking dashboard
-• Individual data sheets for each survey
-• Comprehensive logging and error handling
-
-🚀 Quick Start:
-1. System is pre-configured with your API token
-2. Use 📊 Process All Surveys to get all 3 (pre-made) surveys
-3. Or use 🔍 Process Single Survey with IDs above
-4. Check Master Database for results and links
+  const configured = Object.keys(settings.channels);
+  const name = ui.prompt(
+    "Chat Webhook Channels",
+    `Configured channels: ${configured.join(", ") || "none"}\n\n` +
+      'Enter a channel name to add or change. "default" is used by surveys with no Chat Channel in the Survey Registry:',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (name.getSelectedButton() !== ui.Button.OK) return;
 
-🔧 Your API Token: <YOUR_TYPEFORM_API_TOKEN>
+  const channel = name.getResponseText().trim().toLowerCase();
+  if (!channel || channel === "none") {
+    ui.alert("Invalid Input", "Please enter a channel name.", ui.ButtonSet.OK);
+    return;
+  }
 
-For support or questions, check System Logs for detailed information.
-  `;
+  const url = ui.prompt(
+    "Chat Webhook Channels",
+    `Enter the Slack or Google Chat incoming-webhook URL for "${channel}", or leave blank to remove it:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (url.getSelectedButton() !== ui.Button.OK) return;
+
+  const urlText = url.getResponseText().trim();
+  if (!urlText) {
+    delete settings.channels[channel];
+  } else if (!/^https:\/\//.test(urlText)) {
+    ui.alert(
+      "Invalid Input",
+      "Webhook URLs must start with https://",
+      ui.ButtonSet.OK
+    );
+    return;
+  } else {
+    settings.channels[channel] = urlText;
+  }
 
-  ui.alert("About Typeform Automation", message, ui.ButtonSet.OK);
+  saveChatSettings(settings);
+  logActivity(
+    "INFO",
+    `Chat channel "${channel}" ${urlText ? "configured" : "removed"}`
+  );
+  ui.alert(
+    "Success",
+    `Chat channel "${channel}" ${urlText ? "saved" : "removed"}.`,
+    ui.ButtonSet.OK
+  );
 }
 
-// ============================================================================
-// TRIGGER MANAGEMENT
-// ============================================================================
-
 /**
- * Create scheduled triggers
+ * Show dialogs to change the message template for an event
  */
-function createScheduledTriggers() {
-  // Delete existing triggers
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach((trigger) => {
-    if (trigger.getHandlerFunction() === "scheduledProcessing") {
-      ScriptApp.deleteTrigger(trigger);
-    }
-  });
+function showChatTemplatesDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const settings = getChatSettings();
+  const events = Object.keys(CONFIG.CHAT_TEMPLATES);
 
-  // Create new daily trigger
-  ScriptApp.newTrigger("scheduledProcessing")
-    .timeBased()
-    .everyDays(1)
-    .atHour(9) // 9 AM
-    .create();
+  const event = ui.prompt(
+    "Chat Message Templates",
+    events.map((name) => `${name}: ${settings.templates[name]}`).join("\n\n") +
+      `\n\nEnter the event to change (${events.join(", ")}):`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (event.getSelectedButton() !== ui.Button.OK) return;
+
+  const eventName = events.find(
+    (name) =>
+      name.toLowerCase() === event.getResponseText().trim().toLowerCase()
+  );
+  if (!eventName) {
+    ui.alert(
+      "Invalid Input",
+      `Event must be one of: ${events.join(", ")}`,
+      ui.ButtonSet.OK
+    );
+    return;
+  }
+
+  const template = ui.prompt(
+    "Chat Message Templates",
+    "Placeholders: {survey}, {formId}, {added}, {updated}, {link}, {error}, " +
+      "{question}, {score}, {responseId}\n\n" +
+      `Enter the new "${eventName}" template, or leave blank to restore the default:`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (template.getSelectedButton() !== ui.Button.OK) return;
 
-  logActivity("INFO", "Scheduled triggers created");
+  settings.templates[eventName] =
+    template.getResponseText().trim() || CONFIG.CHAT_TEMPLATES[eventName];
+  saveChatSettings(settings);
+
+  logActivity("INFO", `Chat template "${eventName}" updated`);
+  ui.alert("Success", `Template "${eventName}" saved.`, ui.ButtonSet.OK);
 }
 
 /**
- * Scheduled processing function
+ * Post a test message to every configured chat channel
  */
-function scheduledProcessing() {
-  try {
-    logActivity("INFO", "Starting scheduled processing");
-    processAllSurveys();
-    logActivity("SUCCESS", "Scheduled processing completed");
-  } catch (error) {
-    logActivity("ERROR", `Scheduled processing failed: ${error.toString()}`);
+function sendTestChatMessage() {
+  const ui = SpreadsheetApp.getUi();
+  const channels = getChatSettings().channels;
+  const names = Object.keys(channels);
+
+  if (names.length === 0) {
+    ui.alert(
+      "Chat Notifications",
+      "No chat channels configured yet.",
+      ui.ButtonSet.OK
+    );
+    return;
   }
+
+  const results = names.map(
+    (name) =>
+      `${
+        postChatMessage(
+          channels[name],
+          `🧪 Test message from the Typeform Automation System (${name})`
+        )
+          ? "✅"
+          : "❌"
+      } ${name}`
+  );
+
+  ui.alert(
+    "Chat Notifications",
+    `${results.join("\n")}\n\nFailures are detailed in System Logs.`,
+    ui.ButtonSet.OK
+  );
 }
 
 // ============================================================================
@@ -1014,32 +7659,34 @@ function quickSetupYourSurveys() {
 
     Logger.log(`✅ API connected successfully. Found ${apiTest.count} forms.`);
 
-    // Process your 3 specific surveys
-    const results = [];
-    for (const survey of CONFIG.KNOWN_SURVEYS) {
+    // Process the registered surveys
+    const surveys = getRegisteredSurveys({ activeOnly: true });
+    const items = [];
+    for (const survey of surveys) {
+      const item = { formId: survey.id, name: survey.name };
       try {
         Logger.log(`📊 Processing: ${survey.name}...`);
         const result = processSingleSurvey(survey.id, survey.name);
-        results.push({ ...result, name: survey.name });
+        item.status = "done";
+        item.message = result.message;
         Logger.log(`✅ Completed: ${survey.name}`);
       } catch (error) {
         Logger.log(`❌ Failed: ${survey.name} - ${error.toString()}`);
-        results.push({
-          formId: survey.id,
-          success: false,
-          name: survey.name,
-          error: error.toString(),
-        });
+        item.status = "failed";
+        item.message = error.toString();
       }
+      items.push(item);
     }
 
     // Summary
-    const successful = results.filter((r) => r.success).length;
+    const result = buildRunResult(items);
     Logger.log(
-      `🎉 Quick setup complete! ${successful}/${CONFIG.KNOWN_SURVEYS.length} surveys processed successfully.`
+      `🎉 Quick setup complete! ${result.succeeded.length}/${surveys.length} surveys processed successfully.`
     );
+    writeRunSummary("Quick setup", result);
+    showRunResultDialog("Quick Setup & Test", result);
 
-    return results;
+    return result;
   } catch (error) {
     Logger.log("❌ Quick setup failed: " + error.toString());
     throw error;
@@ -1047,27 +7694,35 @@ function quickSetupYourSurveys() {
 }
 
 /**
- * Process just your known surveys (alternative to processAllSurveys)
+ * Process just the active registered surveys (alternative to processAllSurveys)
  */
-function processYourSurveys() {
-  try {
-    logActivity("INFO", "Processing your pre-configured surveys");
+function processYourSurveys(options = {}) {
+  const record = options.dryRun
+    ? null
+    : beginRunRecord("processYourSurveys", "manual");
 
-    const results = [];
+  try {
+    logActivity("INFO", "Processing your registered surveys");
 
-    for (const survey of CONFIG.KNOWN_SURVEYS) {
-      const result = processSingleSurvey(survey.id, survey.name);
-      results.push(result);
+    const items = getRegisteredSurveys({ activeOnly: true }).map((survey) => ({
+      formId: survey.id,
+      name: survey.name,
+    }));
 
-      // Brief pause between requests
-      Utilities.sleep(1000);
+    if (options.dryRun) {
+      return previewSurveys(items, "Preview Registered Surveys");
     }
 
-    updateMegaSheetStatus();
-    logActivity("INFO", `Completed processing ${results.length} surveys`);
-
-    return results;
+    const result = startProcessingJob(items, "manual");
+    endRunRecord(record, result);
+    showRunResultDialog("Process Registered Surveys", result);
+    return result;
   } catch (error) {
+    endRunRecord(record, null, error);
+    if (error.locked) {
+      reportLockedRun("Process Registered Surveys", error);
+      return null;
+    }
     logActivity("ERROR", `Processing failed: ${error.toString()}`);
     throw error;
   }